@@ -0,0 +1,129 @@
+// Allergen taxonomy helpers for HORP Bot
+// Resolves parent/child allergens (tree_nut → almond) and derived forms (sesame → sesame_oil)
+// from the allergen_taxonomy section of menu.json
+
+const { formatLabel } = require('./shared-utils');
+
+/**
+ * Get the parent of an allergen in the taxonomy
+ * @param {Object} taxonomy - allergen_taxonomy from the menu data
+ * @param {string} allergen - e.g., "almond"
+ * @returns {string|null} e.g., "tree_nut", or null for a root allergen
+ */
+function getParentAllergen(taxonomy, allergen) {
+  const parent = Object.keys(taxonomy || {}).find(key =>
+    (taxonomy[key].children || []).includes(allergen)
+  );
+  return parent || null;
+}
+
+/**
+ * Get every ancestor of an allergen, nearest first
+ * @returns {Array<string>} e.g., ["crustacean", "shellfish"] for "shrimp"
+ */
+function getAllergenAncestors(taxonomy, allergen) {
+  const ancestors = [];
+  let parent = getParentAllergen(taxonomy, allergen);
+
+  // Guard against cycles in hand-edited data
+  while (parent && !ancestors.includes(parent) && parent !== allergen) {
+    ancestors.push(parent);
+    parent = getParentAllergen(taxonomy, parent);
+  }
+
+  return ancestors;
+}
+
+/**
+ * Check if an allergen present in a dish matches an allergen a guest avoids
+ * Matches the allergen itself, any of its children (avoiding tree_nut catches almond),
+ * and any of its ancestors (a dish tagged only "tree_nut" may contain the guest's almond)
+ * @param {Object} taxonomy - allergen_taxonomy from the menu data
+ * @param {string} present - Allergen in the dish e.g., "almond"
+ * @param {string} avoided - Allergen the guest avoids e.g., "tree_nut"
+ * @returns {boolean}
+ */
+function allergenMatches(taxonomy, present, avoided) {
+  if (present === avoided) return true;
+  return getAllergenAncestors(taxonomy, present).includes(avoided) ||
+    getAllergenAncestors(taxonomy, avoided).includes(present);
+}
+
+/**
+ * Get the allergens an ingredient flag is a derived form of
+ * @param {Object} taxonomy - allergen_taxonomy from the menu data
+ * @param {string} flag - e.g., "sesame_oil"
+ * @returns {Array<string>} e.g., ["sesame"]
+ */
+function getFormAllergens(taxonomy, flag) {
+  return Object.keys(taxonomy || {}).filter(key =>
+    (taxonomy[key].forms || []).includes(flag)
+  );
+}
+
+/**
+ * Check if an ingredient flag is a derived form of an allergen (or of a related allergen)
+ * @param {Object} taxonomy - allergen_taxonomy from the menu data
+ * @param {string} flag - e.g., "oyster_sauce"
+ * @param {string} allergen - e.g., "shellfish"
+ * @returns {boolean}
+ */
+function isFormOfAllergen(taxonomy, flag, allergen) {
+  return getFormAllergens(taxonomy, flag).some(formAllergen =>
+    allergenMatches(taxonomy, formAllergen, allergen)
+  );
+}
+
+/**
+ * Get a display label for an allergen
+ * @returns {string} e.g., "Tree nut" for "tree_nut"
+ */
+function getAllergenLabel(taxonomy, allergen) {
+  const entry = (taxonomy || {})[allergen];
+  if (entry && entry.label) return entry.label;
+
+  return formatLabel(allergen);
+}
+
+/**
+ * Describe every vocab allergen with its place in the taxonomy
+ * @param {Object} menu - Menu data with allergen_vocab and allergen_taxonomy
+ * @returns {Array<Object>} [{ id, label, parent, children, forms }] in vocab order
+ */
+function describeAllergens(menu) {
+  const taxonomy = menu.allergen_taxonomy || {};
+
+  return (menu.allergen_vocab || []).map(allergen => ({
+    id: allergen,
+    label: getAllergenLabel(taxonomy, allergen),
+    parent: getParentAllergen(taxonomy, allergen),
+    children: ((taxonomy[allergen] || {}).children || []),
+    forms: ((taxonomy[allergen] || {}).forms || [])
+  }));
+}
+
+/**
+ * Describe every vocab ingredient flag with the allergens it is a form of
+ * @param {Object} menu - Menu data with ingredient_flags_vocab and allergen_taxonomy
+ * @returns {Array<Object>} [{ id, label, allergens }] in vocab order e.g., { id: "soy_sauce", label: "Soy sauce", allergens: ["gluten"] }
+ */
+function describeIngredientFlags(menu) {
+  const taxonomy = menu.allergen_taxonomy || {};
+
+  return (menu.ingredient_flags_vocab || []).map(flag => ({
+    id: flag,
+    label: formatLabel(flag),
+    allergens: getFormAllergens(taxonomy, flag)
+  }));
+}
+
+module.exports = {
+  getParentAllergen,
+  getAllergenAncestors,
+  allergenMatches,
+  getFormAllergens,
+  isFormOfAllergen,
+  getAllergenLabel,
+  describeAllergens,
+  describeIngredientFlags
+};
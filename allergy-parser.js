@@ -0,0 +1,240 @@
+// Free-text allergy parser for HORP Bot
+// Turns what a guest says ("no nuts, mild gluten intolerance but soy sauce is fine") into a
+// profile using only local rules: a lexicon built from the menu's vocabularies, labels and
+// synonyms, plus patterns for tolerance ("is fine"), negation and severity wording
+
+const { getAllergenLabel } = require('./allergen-taxonomy');
+const { getDietIds, getDietLabel } = require('./dietary-rules');
+const { addUnique } = require('./shared-utils');
+
+// Clause boundaries: punctuation, contrast words, and "and" when a new restriction starts
+const CLAUSE_SPLIT = /[,;.!?\n]+|\b(?:but|except|however|although|though|while)\b|\band\b(?=\s+(?:no|not|without|avoid\w*|allergic|mild|slight|severe)\b)/;
+
+// A clause says something is fine to eat, unless the tolerance wording is itself negated
+const TOLERATE_PATTERN = /\b(?:(?:is|are|'s|'re)\s+(?:fine|ok|okay|good|alright)|(?:fine|ok|okay)\s+with|can\s+(?:have|eat|do)|tolerates?|no\s+problem\s+with)\b/;
+const NEGATED_TOLERATE_PATTERN = /\b(?:(?:is|are)\s+not\s+(?:fine|ok|okay|good)|(?:isn't|aren't)\s+(?:fine|ok|okay|good)|(?:can't|cannot|can\s+not)\s+(?:have|eat|do)|(?:doesn't|does\s+not|don't|do\s+not|can't|cannot|can\s+not|unable\s+to)\s+tolerate)\b/;
+
+// Dietary wording is ignored when negated ("not vegetarian")
+const NEGATION_PATTERN = /\b(?:not|isn't|aren't|no\s+longer)\b/;
+
+// Allergens and flags are not avoided when the allergy itself is negated
+// ("not allergic to shellfish", "no longer intolerant to dairy", "doesn't have a peanut allergy")
+const NEGATED_ALLERGY_PATTERN = /\b(?:(?:not|isn't|aren't|no\s+longer)\s+(?:\w+\s+)?(?:allergic|intolerant|sensitive)|no\s+(?:\w+\s+)?(?:allerg\w*|intoleran\w*)|(?:doesn't|does\s+not|don't|do\s+not)\s+have\s+(?:an?\s+)?(?:\w+\s+)?(?:allerg\w*|intoleran\w*))\b/;
+
+// Severity wording, most specific first; the first match applies to the clause's allergens
+const SEVERITY_PATTERNS = [
+  { severity: 'anaphylaxis', pattern: /\b(?:anaphyla\w*|epi-?pen|life[- ]threatening|deadly)\b/ },
+  { severity: 'intolerance', pattern: /\b(?:intoleran\w*|sensitiv\w*|mild|mildly|slight|slightly)\b/ },
+  { severity: 'preference', pattern: /\b(?:prefers?|preference|dislikes?|hates?|not\s+a\s+fan|(?:don't|doesn't|do\s+not|does\s+not)\s+like|rather\s+not)\b/ },
+  { severity: 'allergy', pattern: /\b(?:allerg\w*|celiac|coeliac|severe|severely)\b/ }
+];
+
+const DEFAULT_SEVERITY = 'allergy';
+
+/**
+ * Escape a phrase for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Add a lexicon entry, merging terms when the phrase is already known
+ * (e.g., "mushroom" is both an allergen and an ingredient flag)
+ */
+function addLexiconEntry(lexicon, phrase, terms) {
+  const key = phrase.trim().toLowerCase();
+  if (key.length === 0) return;
+
+  const entry = lexicon[key] || { phrase: key, allergens: [], flags: [], diets: [] };
+  ['allergens', 'flags', 'diets'].forEach(kind => {
+    (terms[kind] || [])
+      .filter(term => !entry[kind].includes(term))
+      .forEach(term => entry[kind].push(term));
+  });
+  lexicon[key] = entry;
+}
+
+/**
+ * Build the parser lexicon from a menu: vocab ids, taxonomy labels, simple plurals, diets and menu synonyms
+ * @param {Object} menu - Menu data with allergen_vocab, ingredient_flags_vocab, allergen_taxonomy, dietary_rules and synonyms
+ * @returns {Array<Object>} Entries { phrase, allergens, flags, diets }, longest phrase first
+ */
+function buildLexicon(menu) {
+  const lexicon = {};
+  const taxonomy = menu.allergen_taxonomy || {};
+  const withPlural = phrase => [phrase, phrase.endsWith('s') ? phrase : phrase + 's'];
+
+  (menu.allergen_vocab || []).forEach(allergen => {
+    const label = getAllergenLabel(taxonomy, allergen).replace(/\(.*\)/, '');
+    [...withPlural(allergen.replace(/_/g, ' ')), ...withPlural(label)]
+      .forEach(phrase => addLexiconEntry(lexicon, phrase, { allergens: [allergen] }));
+  });
+
+  (menu.ingredient_flags_vocab || []).forEach(flag => {
+    withPlural(flag.replace(/_/g, ' ')).forEach(phrase => addLexiconEntry(lexicon, phrase, { flags: [flag] }));
+  });
+
+  getDietIds(menu).forEach(diet => {
+    [diet.replace(/_/g, ' '), getDietLabel(menu, diet)]
+      .forEach(phrase => addLexiconEntry(lexicon, phrase, { diets: [diet] }));
+  });
+
+  Object.keys(menu.synonyms || {}).forEach(phrase => {
+    addLexiconEntry(lexicon, phrase, menu.synonyms[phrase]);
+  });
+
+  return Object.values(lexicon).sort((a, b) => b.phrase.length - a.phrase.length);
+}
+
+/**
+ * Find lexicon phrases in a clause, longest first, so "sesame oil" wins over "sesame"
+ * @returns {Array<Object>} Matched lexicon entries in order of appearance
+ */
+function matchTerms(clause, lexicon) {
+  let remaining = clause;
+  const matches = [];
+
+  lexicon.forEach(entry => {
+    const pattern = new RegExp(`\\b${escapeRegExp(entry.phrase)}\\b`, 'g');
+    let match;
+    while ((match = pattern.exec(remaining)) !== null) {
+      matches.push({ index: match.index, entry });
+      remaining = remaining.slice(0, match.index) + ' '.repeat(match[0].length) + remaining.slice(match.index + match[0].length);
+    }
+  });
+
+  return matches.sort((a, b) => a.index - b.index).map(match => match.entry);
+}
+
+/**
+ * Get the severity a clause's wording implies, if any
+ */
+function getClauseSeverity(clause) {
+  const match = SEVERITY_PATTERNS.find(({ pattern }) => pattern.test(clause));
+  return match ? match.severity : null;
+}
+
+/**
+ * Parse free text into a guest profile
+ * Anything mentioned is avoided unless the clause says it is fine or negates the allergy
+ * ("not allergic to ..."); negated clauses, and clauses calling an allergen fine without naming a tolerated
+ * form, are listed for staff to confirm. When a flag is both
+ * avoided and tolerated, avoiding wins
+ * @param {string} text - e.g., "no nuts, mild gluten intolerance but soy sauce is fine, and no cilantro"
+ * @param {Object} menu - Menu data providing vocabularies, taxonomy, tolerances and synonyms
+ * @returns {Object} { dietaryPreferences, avoidAllergens, avoidIngredientFlags, tolerateFlags, allergenSeverities,
+ *   tolerance_answers, matches: [{ clause, phrase, intent, allergens, flags, diets, severity }], negated: [clause],
+ *   unrecognized: [clause] } where intent is 'avoid', 'tolerate' or 'negated'
+ */
+function parseAllergyText(text, menu) {
+  const lexicon = buildLexicon(menu);
+  const profile = {
+    dietaryPreferences: [],
+    avoidAllergens: [],
+    avoidIngredientFlags: [],
+    tolerateFlags: [],
+    allergenSeverities: {},
+    tolerance_answers: {},
+    matches: [],
+    negated: [],
+    unrecognized: []
+  };
+
+  String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .split(CLAUSE_SPLIT)
+    .map(clause => (clause || '').trim())
+    .filter(clause => clause.length > 0)
+    .forEach(clause => {
+      const entries = matchTerms(clause, lexicon);
+      if (entries.length === 0) {
+        profile.unrecognized.push(clause);
+        return;
+      }
+
+      let intent = TOLERATE_PATTERN.test(clause) && !NEGATED_TOLERATE_PATTERN.test(clause) ? 'tolerate' : 'avoid';
+      if (intent === 'avoid' && NEGATED_ALLERGY_PATTERN.test(clause)) {
+        intent = 'negated';
+        addUnique(profile.negated, [clause]);
+      }
+      const severity = getClauseSeverity(clause);
+
+      entries.forEach(entry => {
+        if (entry.diets.length > 0 && !NEGATION_PATTERN.test(clause)) {
+          entry.diets.forEach(diet => addUnique(profile.dietaryPreferences, [diet]));
+        }
+
+        if (intent === 'tolerate') {
+          entry.flags.forEach(flag => addUnique(profile.tolerateFlags, [flag]));
+          // "gluten is fine" names no tolerated form: left for staff to confirm rather than dropped
+          if (entry.flags.length === 0 && entry.allergens.length > 0) addUnique(profile.negated, [clause]);
+        } else if (intent === 'negated') {
+          // Neither avoided nor tolerated: left for staff to confirm
+        } else if (entry.allergens.length > 0) {
+          entry.allergens.forEach(allergen => {
+            addUnique(profile.avoidAllergens, [allergen]);
+            if (severity || !profile.allergenSeverities[allergen]) {
+              profile.allergenSeverities[allergen] = severity || DEFAULT_SEVERITY;
+            }
+          });
+        } else {
+          entry.flags.forEach(flag => addUnique(profile.avoidIngredientFlags, [flag]));
+        }
+
+        profile.matches.push({
+          clause,
+          phrase: entry.phrase,
+          intent,
+          allergens: entry.allergens,
+          flags: entry.flags,
+          diets: entry.diets,
+          severity: intent === 'avoid' && entry.allergens.length > 0 ? severity || DEFAULT_SEVERITY : null
+        });
+      });
+    });
+
+  // Avoiding wins over tolerating the same flag
+  profile.tolerateFlags = profile.tolerateFlags.filter(flag => !profile.avoidIngredientFlags.includes(flag));
+
+  // Answer the tolerance table's follow-up questions for avoided allergens
+  (menu.tolerances || [])
+    .filter(entry => profile.avoidAllergens.includes(entry.allergen))
+    .forEach(entry => {
+      if (profile.tolerateFlags.includes(entry.flag)) profile.tolerance_answers[entry.allergen] = true;
+      if (profile.avoidIngredientFlags.includes(entry.flag)) profile.tolerance_answers[entry.allergen] = false;
+    });
+
+  return profile;
+}
+
+/**
+ * Validate the menu's parser synonyms against the vocabularies
+ * @returns {Array<string>} Validation errors
+ */
+function validateSynonyms(menu) {
+  const errors = [];
+  const vocabs = {
+    allergens: menu.allergen_vocab || [],
+    flags: menu.ingredient_flags_vocab || [],
+    diets: getDietIds(menu)
+  };
+
+  Object.keys(menu.synonyms || {}).forEach(phrase => {
+    const entry = menu.synonyms[phrase] || {};
+    Object.keys(vocabs).forEach(kind => {
+      (entry[kind] || [])
+        .filter(term => !vocabs[kind].includes(term))
+        .forEach(term => errors.push(`synonyms."${phrase}".${kind} contains unknown term "${term}"`));
+    });
+  });
+
+  return errors;
+}
+
+module.exports = {
+  buildLexicon,
+  parseAllergyText,
+  validateSynonyms
+};
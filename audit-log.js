@@ -0,0 +1,181 @@
+// Recommendation audit log for HORP Bot
+// Every /api/run result is appended to logs/audit.jsonl with the profile it answered and the
+// menu version it was computed from. Entries are hash-chained (each stores the previous
+// entry's hash), so any edit or deletion of an earlier entry is detectable.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toLocalDateString } = require('./menu-availability');
+const { getMenu, hasMenu } = require('./menu-store');
+const { allergenMatches } = require('./allergen-taxonomy');
+
+const AUDIT_LOG_PATH = path.join(__dirname, 'logs', 'audit.jsonl');
+
+// Previous hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Last appended entry { sequence, hash }, read from the log on first use
+let lastEntry = null;
+
+/**
+ * Hash an entry's contents (everything except its own hash)
+ */
+function hashEntry(entry) {
+  const { hash, ...contents } = entry;
+  return crypto.createHash('sha256').update(JSON.stringify(contents)).digest('hex');
+}
+
+/**
+ * Read every entry in the audit log, oldest first
+ * @returns {Array<Object>}
+ */
+function readAuditLog() {
+  if (!fs.existsSync(AUDIT_LOG_PATH)) return [];
+
+  return fs.readFileSync(AUDIT_LOG_PATH, 'utf8')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Get the last entry in the chain
+ */
+function getLastEntry() {
+  if (!lastEntry) {
+    const entries = readAuditLog();
+    const last = entries[entries.length - 1];
+    lastEntry = last ? { sequence: last.sequence, hash: last.hash } : { sequence: 0, hash: GENESIS_HASH };
+  }
+  return lastEntry;
+}
+
+/**
+ * Append a served recommendation to the audit log
+ * @param {Object} record - { profile, menuId, menuVersion, result }
+ * @param {Date} at - Time the recommendation was served (default: now)
+ * @returns {Object} The stored entry
+ */
+function recordRecommendation(record, at = new Date()) {
+  const previous = getLastEntry();
+
+  const entry = {
+    sequence: previous.sequence + 1,
+    timestamp: at.toISOString(),
+    menuId: record.menuId,
+    menuVersion: record.menuVersion,
+    profile: record.profile,
+    result: record.result,
+    previousHash: previous.hash
+  };
+  entry.hash = hashEntry(entry);
+
+  fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+  fs.appendFileSync(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n', 'utf8');
+
+  lastEntry = { sequence: entry.sequence, hash: entry.hash };
+  return entry;
+}
+
+/**
+ * Get the allergens every guest in an entry avoided
+ */
+function getEntryAllergens(entry) {
+  const guests = (entry.result && entry.result.guests) || [];
+  return guests.reduce((allergens, guest) => allergens.concat(guest.profile.avoidAllergens || []), []);
+}
+
+/**
+ * Get the current allergen taxonomy of the menu an entry was served from
+ * Past menu versions are not kept, so this is today's taxonomy for that menu, not the version
+ * recorded in the entry; a menu that no longer exists has no taxonomy, so only exact allergens match
+ */
+function getEntryTaxonomy(entry) {
+  return hasMenu(entry.menuId) ? getMenu(entry.menuId).allergen_taxonomy || {} : {};
+}
+
+/**
+ * Filter the audit log
+ * @param {Object} filters - { from, until } as YYYY-MM-DD (inclusive, server local date), { allergen } avoided by any guest,
+ *   matched through the menu's allergen taxonomy (shellfish matches guests avoiding shrimp or crustacean, and the reverse)
+ * @returns {Array<Object>} Matching entries, oldest first
+ */
+function queryAuditLog(filters = {}) {
+  return readAuditLog().filter(entry => {
+    const date = toLocalDateString(new Date(entry.timestamp));
+    if (filters.from && date < filters.from) return false;
+    if (filters.until && date > filters.until) return false;
+    if (filters.allergen) {
+      const taxonomy = getEntryTaxonomy(entry);
+      if (!getEntryAllergens(entry).some(allergen => allergenMatches(taxonomy, allergen, filters.allergen))) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Check that no entry in the audit log was edited, removed or reordered
+ * @returns {Object} { valid, entries, brokenAt } where brokenAt is the first bad sequence number
+ */
+function verifyAuditLog() {
+  const entries = readAuditLog();
+  let previousHash = GENESIS_HASH;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    if (entry.sequence !== index + 1 || entry.previousHash !== previousHash || entry.hash !== hashEntry(entry)) {
+      return { valid: false, entries: entries.length, brokenAt: index + 1 };
+    }
+    previousHash = entry.hash;
+  }
+
+  return { valid: true, entries: entries.length, brokenAt: null };
+}
+
+/**
+ * Quote a value for CSV
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format audit entries as CSV, one row per guest
+ * @returns {string}
+ */
+function formatAuditCsv(entries) {
+  const header = ['sequence', 'timestamp', 'menuId', 'menuVersion', 'guest', 'seat', 'avoidAllergens', 'safe', 'canBeModified', 'filtered', 'hash'];
+  const ids = items => items.map(item => item.id).join(' ');
+
+  const rows = [];
+  entries.forEach(entry => {
+    ((entry.result && entry.result.guests) || []).forEach(guest => {
+      rows.push([
+        entry.sequence,
+        entry.timestamp,
+        entry.menuId,
+        entry.menuVersion,
+        guest.name,
+        guest.seat,
+        (guest.profile.avoidAllergens || []).join(' '),
+        ids(guest.safe),
+        ids(guest.canBeModified),
+        ids(guest.filtered),
+        entry.hash
+      ]);
+    });
+  });
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  AUDIT_LOG_PATH,
+  recordRecommendation,
+  readAuditLog,
+  queryAuditLog,
+  verifyAuditLog,
+  formatAuditCsv
+};
@@ -0,0 +1,366 @@
+// Compliance rule pipeline for HORP Bot
+// Every dish (as served or after modifications) is evaluated by the same ordered list
+// of rules. Each rule returns structured reasons; a blocking rule's reasons make the dish
+// non-compliant, a non-blocking rule (tolerance) only explains why something passed.
+
+const { allergenMatches, isFormOfAllergen } = require('./allergen-taxonomy');
+const { getDietRestrictions } = require('./dietary-rules');
+const { addUnique } = require('./shared-utils');
+
+// Severity tiers for an avoided allergen, least to most severe
+const SEVERITY_LEVELS = ['preference', 'intolerance', 'allergy', 'anaphylaxis'];
+const DEFAULT_SEVERITY = 'allergy';
+
+// How each tier treats tolerated forms and cross-contact risk
+// crossContact: 'ignore' allows trace amounts, 'guest' follows the guest's crossContactOk,
+// 'enforce' always blocks cross-contact risk
+const SEVERITY_RULES = {
+  preference: { honorTolerances: true, crossContact: 'ignore' },
+  intolerance: { honorTolerances: true, crossContact: 'guest' },
+  allergy: { honorTolerances: true, crossContact: 'guest' },
+  anaphylaxis: { honorTolerances: false, crossContact: 'enforce' }
+};
+
+/**
+ * Create a structured reason explaining why an item was filtered, flagged or tolerated
+ * @param {string} type - dietary, allergen, flag, cross_contact or tolerated
+ * @param {Object} details - { component, allergens, flags, severity, preference, label }
+ * @returns {Object} Reason with a display message and resolvedByModification (set later)
+ */
+function createReason(type, details = {}) {
+  const reason = {
+    type,
+    component: details.component || null,
+    allergens: details.allergens || [],
+    flags: details.flags || [],
+    severity: details.severity || null,
+    resolvedByModification: false
+  };
+
+  if (details.preference) reason.preference = details.preference;
+  if (details.label) reason.label = details.label;
+
+  reason.message = formatReason(reason);
+  return reason;
+}
+
+/**
+ * Format a structured reason as a display string
+ */
+function formatReason(reason) {
+  const tier = reason.severity ? `[${reason.severity}] ` : '';
+
+  switch (reason.type) {
+    case 'dietary':
+      if (!reason.component) {
+        return `${reason.label}: no dietary rule on this menu, so the dish cannot be confirmed to fit`;
+      }
+      return `${reason.label}: "${reason.component}" contains ${[...reason.allergens, ...reason.flags].join(', ')}`;
+    case 'allergen':
+      return `${tier}"${reason.component}" contains intolerable allergen(s): ${reason.allergens.join(', ')}`;
+    case 'tolerated':
+      return `${tier}"${reason.component}" contains tolerated form: ${reason.allergens.join(', ')}`;
+    case 'flag':
+      return `"${reason.component}" contains ingredient flag(s): ${reason.flags.join(', ')}`;
+    case 'cross_contact':
+      return `${tier}Cross-contact risk: ${reason.allergens.join(', ')}`;
+    default:
+      return reason.type;
+  }
+}
+
+/**
+ * Check if an allergen present in a dish is one the guest avoids
+ * Resolved through the allergen taxonomy, so avoiding "tree_nut" catches "almond"
+ * @param {string} allergen - Allergen present in the dish e.g., "almond"
+ * @param {Object} profile - Guest profile with allergies
+ * @param {Object} context - { taxonomy }
+ * @returns {boolean}
+ */
+function isAvoidedAllergen(allergen, profile, context) {
+  return profile.allergies.some(avoided => allergenMatches(context.taxonomy, allergen, avoided));
+}
+
+/**
+ * Get the severity tier that applies to an allergen present in a dish
+ * When several avoided allergens match (e.g., "shellfish" and "shrimp"), the most severe wins
+ * @returns {string} One of SEVERITY_LEVELS
+ */
+function getAllergenSeverity(allergen, profile, context) {
+  const severities = profile.allergenSeverities || {};
+
+  return profile.allergies
+    .filter(avoided => allergenMatches(context.taxonomy, allergen, avoided))
+    .map(avoided => SEVERITY_LEVELS.includes(severities[avoided]) ? severities[avoided] : DEFAULT_SEVERITY)
+    .reduce((worst, severity) =>
+      SEVERITY_LEVELS.indexOf(severity) > SEVERITY_LEVELS.indexOf(worst) ? severity : worst
+    , SEVERITY_LEVELS[0]);
+}
+
+/**
+ * Group allergens by the severity tier that applies to each, most severe first
+ * @returns {Array<Object>} e.g., [{ severity: "anaphylaxis", allergens: ["peanut"] }]
+ */
+function groupBySeverity(allergens, profile, context) {
+  return [...SEVERITY_LEVELS].reverse()
+    .map(severity => ({
+      severity,
+      allergens: allergens.filter(allergen => getAllergenSeverity(allergen, profile, context) === severity)
+    }))
+    .filter(group => group.allergens.length > 0);
+}
+
+/**
+ * Get the tolerated forms through which an allergen appears in a component
+ * The allergen is only tolerable when every source carrying it (the component itself, or each library
+ * ingredient in its allergen_sources) has at least one related flag and every related flag is one
+ * the guest tolerates (e.g., sesame_oil alone passes, sesame_oil alongside sesame_seed does not,
+ * and soy sauce next to a wheat wrapper does not excuse the wrapper's gluten)
+ * @param {Object} component - Component object
+ * @param {string} allergen - e.g., "sesame"
+ * @param {Object} profile - Guest profile with tolerateFlags e.g., ["sesame_oil", "soy_sauce"]
+ * @param {Object} context - { taxonomy }
+ * @returns {Array<string>} Tolerated flags carrying the allergen, empty if not tolerable
+ */
+function getToleratedForms(component, allergen, profile, context) {
+  const tolerateFlags = profile.tolerateFlags || [];
+  if (tolerateFlags.length === 0) {
+    return []; // No tolerances specified, can't tolerate any allergen
+  }
+
+  const sources = (component.allergen_sources || [component])
+    .filter(source => (source.contains_allergens || []).includes(allergen));
+  if (sources.length === 0) return [];
+
+  const toleratedForms = [];
+  const everySourceTolerated = sources.every(source => {
+    const relatedFlags = (source.contains_ingredient_flags || []).filter(flag =>
+      isFormOfAllergen(context.taxonomy, flag, allergen)
+    );
+
+    if (relatedFlags.length === 0) return false;
+    if (!relatedFlags.every(flag => tolerateFlags.includes(flag))) return false;
+
+    addUnique(toleratedForms, relatedFlags);
+    return true;
+  });
+
+  return everySourceTolerated ? toleratedForms : [];
+}
+
+/**
+ * Split a component's avoided allergens into tolerated and intolerable ones
+ * Tolerances only count where the allergen's severity tier honors them
+ * @returns {Object} { tolerable: [...], intolerable: [...] }
+ */
+function partitionAvoidedAllergens(component, profile, context) {
+  const avoided = (component.contains_allergens || []).filter(allergen =>
+    isAvoidedAllergen(allergen, profile, context)
+  );
+
+  const tolerable = avoided.filter(allergen => {
+    const severity = getAllergenSeverity(allergen, profile, context);
+    return SEVERITY_RULES[severity].honorTolerances &&
+      getToleratedForms(component, allergen, profile, context).length > 0;
+  });
+
+  return {
+    tolerable,
+    intolerable: avoided.filter(allergen => !tolerable.includes(allergen))
+  };
+}
+
+/**
+ * Dietary rule: components must not contain the allergens or flags a preference's dietary rule rules out
+ */
+const dietaryRule = {
+  type: 'dietary',
+  blocking: true,
+  evaluate(dish, profile, context) {
+    const dietaryRules = context.dietaryRules || {};
+    const reasons = [];
+
+    profile.dietaryPreferences.forEach(pref => {
+      const restrictions = getDietRestrictions(dietaryRules, pref);
+
+      // A diet the menu has no rule for fails closed: no dish can be confirmed to fit it
+      if (!restrictions) {
+        reasons.push(createReason('dietary', { preference: pref, label: pref }));
+        return;
+      }
+
+      dish.components.forEach(component => {
+        const allergens = (component.contains_allergens || []).filter(allergen =>
+          restrictions.allergens.some(avoided => allergenMatches(context.taxonomy, allergen, avoided))
+        );
+        const flags = (component.contains_ingredient_flags || []).filter(flag => restrictions.flags.includes(flag));
+
+        if (allergens.length > 0 || flags.length > 0) {
+          reasons.push(createReason('dietary', {
+            component: component.name,
+            allergens,
+            flags,
+            preference: pref,
+            label: dietaryRules[pref].label
+          }));
+        }
+      });
+    });
+
+    return reasons;
+  }
+};
+
+/**
+ * Allergen rule: components must not contain avoided allergens outside tolerated forms
+ */
+const allergenRule = {
+  type: 'allergen',
+  blocking: true,
+  evaluate(dish, profile, context) {
+    const reasons = [];
+
+    dish.components.forEach(component => {
+      const { intolerable } = partitionAvoidedAllergens(component, profile, context);
+      groupBySeverity(intolerable, profile, context).forEach(group => {
+        reasons.push(createReason('allergen', {
+          component: component.name,
+          allergens: group.allergens,
+          severity: group.severity
+        }));
+      });
+    });
+
+    return reasons;
+  }
+};
+
+/**
+ * Tolerance rule: explains avoided allergens that pass because they only appear in tolerated forms
+ */
+const toleranceRule = {
+  type: 'tolerated',
+  blocking: false,
+  evaluate(dish, profile, context) {
+    const reasons = [];
+
+    dish.components.forEach(component => {
+      const { tolerable } = partitionAvoidedAllergens(component, profile, context);
+      tolerable.forEach(allergen => {
+        reasons.push(createReason('tolerated', {
+          component: component.name,
+          allergens: [allergen],
+          flags: getToleratedForms(component, allergen, profile, context),
+          severity: getAllergenSeverity(allergen, profile, context)
+        }));
+      });
+    });
+
+    return reasons;
+  }
+};
+
+/**
+ * Flag rule: components must not contain ingredient flags the guest avoids
+ */
+const flagRule = {
+  type: 'flag',
+  blocking: true,
+  evaluate(dish, profile) {
+    const reasons = [];
+
+    dish.components.forEach(component => {
+      const forbiddenFlags = (component.contains_ingredient_flags || []).filter(flag =>
+        profile.avoidIngredientFlags.includes(flag)
+      );
+
+      if (forbiddenFlags.length > 0) {
+        reasons.push(createReason('flag', {
+          component: component.name,
+          flags: forbiddenFlags
+        }));
+      }
+    });
+
+    return reasons;
+  }
+};
+
+/**
+ * Cross-contact rule: the severity tier decides whether the guest's crossContactOk applies
+ */
+const crossContactRule = {
+  type: 'cross_contact',
+  blocking: true,
+  evaluate(dish, profile, context) {
+    const forbiddenRisks = dish.crossContactRisk.filter(risk => isAvoidedAllergen(risk, profile, context));
+
+    return groupBySeverity(forbiddenRisks, profile, context)
+      .filter(group => {
+        const rule = SEVERITY_RULES[group.severity].crossContact;
+        return rule === 'enforce' || (rule === 'guest' && !profile.crossContactOk);
+      })
+      .map(group => createReason('cross_contact', {
+        allergens: group.allergens,
+        severity: group.severity
+      }));
+  }
+};
+
+// Default pipeline, in the order reasons are reported
+const DEFAULT_RULES = [dietaryRule, allergenRule, toleranceRule, flagRule, crossContactRule];
+
+/**
+ * Run a dish through the rule pipeline
+ * @param {Object} dish - { components, crossContactRisk, tags }
+ * @param {Object} profile - { dietaryPreferences, allergies, avoidIngredientFlags, crossContactOk, tolerateFlags, allergenSeverities }
+ * @param {Object} context - { taxonomy, dietaryRules }
+ * @param {Array<Object>} rules - Rules to apply (default: DEFAULT_RULES)
+ * @returns {Object} { reasons, blockingTypes } where blockingTypes lists the rule types that failed
+ */
+function evaluateDish(dish, profile, context, rules = DEFAULT_RULES) {
+  const reasons = [];
+  const blockingTypes = [];
+
+  rules.forEach(rule => {
+    const ruleReasons = rule.evaluate(dish, profile, context);
+    reasons.push(...ruleReasons);
+
+    if (rule.blocking && ruleReasons.length > 0) {
+      blockingTypes.push(rule.type);
+    }
+  });
+
+  return { reasons, blockingTypes };
+}
+
+/**
+ * Build tolerance notes from a dish's tolerated reasons
+ * @returns {Array<string>} e.g., ["Can tolerate sesame in form: sesame_oil"]
+ */
+function getToleranceNotes(reasons) {
+  const notes = [];
+
+  reasons
+    .filter(reason => reason.type === 'tolerated')
+    .forEach(reason => {
+      reason.flags.forEach(flag => {
+        const note = `Can tolerate ${reason.allergens[0]} in form: ${flag}`;
+        if (!notes.includes(note)) notes.push(note);
+      });
+    });
+
+  return notes;
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  DEFAULT_RULES,
+  dietaryRule,
+  allergenRule,
+  toleranceRule,
+  flagRule,
+  crossContactRule,
+  evaluateDish,
+  getToleranceNotes
+};
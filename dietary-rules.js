@@ -0,0 +1,125 @@
+// Dietary rules for HORP Bot
+// Every diet (vegetarian, vegan, halal, low-FODMAP, ...) is defined in the menu's dietary_rules
+// as the allergens and animal-product or other ingredient flags it rules out, so compliance is
+// worked out from a dish's components. A rule can include other diets (e.g., vegan includes vegetarian).
+
+const { addUnique, formatLabel } = require('./shared-utils');
+
+/**
+ * Get every dietary preference a menu understands
+ * @returns {Array<string>} Rule ids
+ */
+function getDietIds(menu) {
+  return Object.keys(menu.dietary_rules || {});
+}
+
+/**
+ * Get the allergens and ingredient flags a diet rules out, following included diets
+ * @param {Object} dietaryRules - The menu's dietary_rules
+ * @param {string} diet - e.g., "halal"
+ * @returns {Object|null} { allergens, flags }, or null when the menu has no rule for the diet
+ */
+function getDietRestrictions(dietaryRules, diet, seen = []) {
+  const rule = dietaryRules[diet];
+  if (!rule || seen.includes(diet)) return null;
+
+  const restrictions = {
+    allergens: [...(rule.avoid_allergens || [])],
+    flags: [...(rule.avoid_ingredient_flags || [])]
+  };
+
+  (rule.includes || []).forEach(included => {
+    const nested = getDietRestrictions(dietaryRules, included, [...seen, diet]);
+    if (nested) {
+      addUnique(restrictions.allergens, nested.allergens);
+      addUnique(restrictions.flags, nested.flags);
+    }
+  });
+
+  return restrictions;
+}
+
+/**
+ * Get every diet a rule includes, directly or through other included rules
+ */
+function getIncludedDiets(dietaryRules, diet, found = []) {
+  ((dietaryRules[diet] || {}).includes || [])
+    .filter(included => !found.includes(included))
+    .forEach(included => {
+      found.push(included);
+      getIncludedDiets(dietaryRules, included, found);
+    });
+  return found;
+}
+
+/**
+ * Get the display label for a diet
+ */
+function getDietLabel(menu, diet) {
+  const rule = (menu.dietary_rules || {})[diet];
+  if (rule && rule.label) return rule.label;
+
+  return formatLabel(diet);
+}
+
+/**
+ * Describe every diet the menu understands, for the chat's dietary options
+ * @returns {Array<Object>} [{ id, label, notes }] e.g., { id: "halal", label: "Halal", notes: "..." }
+ */
+function describeDiets(menu) {
+  return getDietIds(menu).map(diet => ({
+    id: diet,
+    label: getDietLabel(menu, diet),
+    notes: ((menu.dietary_rules || {})[diet] || {}).notes || ''
+  }));
+}
+
+/**
+ * Validate the menu's dietary rules against the vocabularies
+ * @returns {Array<string>} Validation errors
+ */
+function validateDietaryRules(menu) {
+  const errors = [];
+  const dietaryRules = menu.dietary_rules || {};
+  const diets = getDietIds(menu);
+
+  Object.keys(dietaryRules).forEach(diet => {
+    const rule = dietaryRules[diet] || {};
+    const label = `dietary_rules.${diet}`;
+
+    if (typeof rule.label !== 'string' || rule.label.trim().length === 0) {
+      errors.push(`${label} needs a label`);
+    }
+
+    (rule.avoid_allergens || [])
+      .filter(allergen => !(menu.allergen_vocab || []).includes(allergen))
+      .forEach(allergen => errors.push(`${label}.avoid_allergens contains unknown allergen "${allergen}"`));
+
+    (rule.avoid_ingredient_flags || [])
+      .filter(flag => !(menu.ingredient_flags_vocab || []).includes(flag))
+      .forEach(flag => errors.push(`${label}.avoid_ingredient_flags contains unknown flag "${flag}"`));
+
+    (rule.includes || [])
+      .filter(included => !diets.includes(included))
+      .forEach(included => errors.push(`${label}.includes contains unknown diet "${included}"`));
+
+    if (getIncludedDiets(dietaryRules, diet).includes(diet)) {
+      errors.push(`${label}.includes has a cycle back to "${diet}"`);
+    }
+
+    const restrictions = getDietRestrictions(dietaryRules, diet);
+    if (restrictions.allergens.length + restrictions.flags.length === 0) {
+      errors.push(`${label} rules out nothing and accepts every dish`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  getDietIds,
+  getDietRestrictions,
+  getDietLabel,
+  describeDiets,
+  validateDietaryRules
+};
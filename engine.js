@@ -1,11 +1,17 @@
 // Menu filtering engine for HORP Bot
 // Layer 1: Filter by dietary preference and allergies
 
-const fs = require('fs');
-const path = require('path');
-
-// Load menu data
-const menuData = JSON.parse(fs.readFileSync(path.join(__dirname, 'menu.json'), 'utf8'));
+const { getMenu, DEFAULT_MENU_ID } = require('./menu-store');
+const { isItemAvailable } = require('./menu-availability');
+const { resolveMenuItem } = require('./ingredient-library');
+const { allergenMatches } = require('./allergen-taxonomy');
+const { getDietRestrictions } = require('./dietary-rules');
+const { SEVERITY_LEVELS, evaluateDish, getToleranceNotes } = require('./compliance-rules');
+const { buildMealSuggestions } = require('./meal-pairing');
+
+// Modification search limits: combinations grow as 2^n, and servers only need a few options
+const MAX_SEARCH_MODIFICATIONS = 10;
+const MAX_ALTERNATIVES = 3;
 
 /**
  * Layer 1: Filter menu items by dietary preference and allergies
@@ -14,16 +20,30 @@ const menuData = JSON.parse(fs.readFileSync(path.join(__dirname, 'menu.json'), '
  * @param {Array<string>} avoidIngredientFlags - e.g., ["sesame_seed", "pork"]
  * @param {boolean} crossContactOk - Allow items with cross-contact risk (default: false)
  * @param {Array<string>} tolerateFlags - Ingredient flags user tolerates e.g., ["soy_sauce", "sesame_oil"]
+ * @param {Object} allergenSeverities - Severity per avoided allergen e.g., { peanut: "anaphylaxis" } (default: allergy)
+ * @param {Object} options - { menuId, at } menu to filter (default: main) and time to check availability (default: now);
+ *   { menu } filters given menu data instead (e.g., another version), { ignoreAvailability } considers every item,
+ *   { countsOnly } only sorts dishes into the lists: modifiable dishes come without their modifications
  * @returns {Object} Filtered results with safe and filtered items
  */
-function filterByDietaryAndAllergies(dietaryPreferences = [], allergies = [], avoidIngredientFlags = [], crossContactOk = false, tolerateFlags = []) {
+function filterByDietaryAndAllergies(dietaryPreferences = [], allergies = [], avoidIngredientFlags = [], crossContactOk = false, tolerateFlags = [], allergenSeverities = {}, options = {}) {
   const results = {
     safe: [],
     filtered: [],
     canBeModified: []
   };
 
-  (menuData.items || []).forEach(item => {
+  const menuData = options.menu || getMenu(options.menuId || DEFAULT_MENU_ID);
+  const at = options.at || new Date();
+  const profile = { dietaryPreferences, allergies, avoidIngredientFlags, crossContactOk, tolerateFlags, allergenSeverities };
+  const context = { taxonomy: menuData.allergen_taxonomy || {}, dietaryRules: menuData.dietary_rules || {} };
+
+  // Only consider dishes the kitchen is serving at this time
+  const availableItems = (menuData.items || [])
+    .filter(item => options.ignoreAvailability || isItemAvailable(item, menuData, at))
+    .map(item => resolveMenuItem(item, menuData));
+
+  availableItems.forEach(item => {
     const itemStatus = {
       id: item.id,
       name: item.name,
@@ -31,27 +51,38 @@ function filterByDietaryAndAllergies(dietaryPreferences = [], allergies = [], av
       reasons: []
     };
 
-    // Check dietary preferences
-    let isDietaryCompliant = checkDietaryCompliance(item, dietaryPreferences, itemStatus);
-    
-    // Check allergies and ingredient flags WITH tolerance knowledge
-    let isCompliant = checkCompliance(item, allergies, avoidIngredientFlags, crossContactOk, tolerateFlags, itemStatus);
-
-    // Check if item can be made safe through modifications
-    let canBeModifiedToSafe = false;
-    let applicableMods = [];
-    if (!isCompliant && (item.modifications || []).length > 0) {
-      canBeModifiedToSafe = canModificationsMakeItemSafe(item, allergies, avoidIngredientFlags, crossContactOk, tolerateFlags);
-      if (canBeModifiedToSafe) {
-        applicableMods = getApplicableModifications(item, allergies, avoidIngredientFlags);
-      }
+    // Evaluate the dish as served
+    const evaluation = evaluateDish(buildDish(item, item.components || []), profile, context);
+    itemStatus.reasons = evaluation.reasons;
+
+    const toleranceNotes = getToleranceNotes(evaluation.reasons);
+    if (toleranceNotes.length > 0) {
+      itemStatus.tolerance_notes = toleranceNotes;
+    }
+
+    const isCompliant = evaluation.blockingTypes.length === 0;
+
+    // Only whether some modifications make the dish safe matters for counts
+    if (options.countsOnly) {
+      const list = isCompliant ? 'safe' : hasSafeModifications(item, profile, context) ? 'canBeModified' : 'filtered';
+      results[list].push(itemStatus);
+      return;
+    }
+
+    // Search for the smallest set of modifications that makes the dish safe and fit the guest's diets
+    const modificationPlan = !isCompliant
+      ? findMinimalModifications(item, profile, context)
+      : null;
+    if (modificationPlan) {
+      markResolvedReasons(itemStatus.reasons, modificationPlan.remainingReasons);
     }
 
     // Categorize results
-    if (isDietaryCompliant && isCompliant) {
+    if (isCompliant) {
       results.safe.push(itemStatus);
-    } else if (canBeModifiedToSafe) {
-      itemStatus.modifications = applicableMods;
+    } else if (modificationPlan) {
+      itemStatus.modifications = modificationPlan.modifications;
+      itemStatus.alternatives = modificationPlan.alternatives;
       results.canBeModified.push(itemStatus);
     } else {
       results.filtered.push(itemStatus);
@@ -62,137 +93,54 @@ function filterByDietaryAndAllergies(dietaryPreferences = [], allergies = [], av
 }
 
 /**
- * Check if item meets dietary preferences
+ * Mark which reasons no longer apply once the item's modifications are made
+ * A reason is resolved when the modified dish no longer produces the same issue
+ * @param {Array<Object>} reasons - Reasons for the item as served
+ * @param {Array<Object>} modifiedReasons - Reasons for the item after modifications
  */
-function checkDietaryCompliance(item, dietaryPreferences, itemStatus) {
-  if (dietaryPreferences.length === 0) return true;
-
-  // For now, check tags for vegetarian/vegan
-  const vegetarianItems = item.tags && item.tags.includes('vegetarian');
-  const veganItems = item.tags && item.tags.includes('vegan');
+function markResolvedReasons(reasons, modifiedReasons) {
+  const modifiedMessages = modifiedReasons.map(reason => reason.message);
 
-  for (const pref of dietaryPreferences) {
-    if (pref === 'vegetarian' && !vegetarianItems) {
-      itemStatus.reasons.push('Contains meat or animal products - not vegetarian');
-      return false;
-    }
-    if (pref === 'vegan' && !veganItems) {
-      itemStatus.reasons.push('Contains dairy, eggs or animal products - not vegan');
-      return false;
-    }
-  }
-
-  return true;
+  reasons
+    .filter(reason => ['dietary', 'allergen', 'flag', 'cross_contact'].includes(reason.type))
+    .forEach(reason => {
+      reason.resolvedByModification = !modifiedMessages.includes(reason.message);
+    });
 }
 
 /**
- * Check if item contains any forbidden allergens or ingredient flags
- * Takes tolerates flags into account - if allergen only appears in tolerated flags, it's OK
+ * Build the dish the rule pipeline evaluates from an item and its effective components
+ * Components (e.g., substitutes) can bring their own cross-contact risk onto the plate
+ * @param {Object} item - Menu item
+ * @param {Array} components - Components as served or after modifications
+ * @returns {Object} { components, crossContactRisk, tags }
  */
-function checkCompliance(item, allergies, avoidIngredientFlags, crossContactOk, tolerateFlags, itemStatus) {
-  if (allergies.length === 0 && avoidIngredientFlags.length === 0) return true;
-
-  let hasIssue = false;
-
-  // Check all components for allergens and ingredient flags
-  (item.components || []).forEach(component => {
-    const forbiddenAllergens = (component.contains_allergens || []).filter(allergen => 
-      allergies.includes(allergen)
-    );
-
-    if (forbiddenAllergens.length > 0) {
-      // Check if user tolerates the forms this allergen appears in
-      const tolerableAllergens = forbiddenAllergens.filter(allergen => {
-        return isAllergenTolerable(component, allergen, tolerateFlags);
-      });
-
-      // Only block if there are allergens that aren't tolerable
-      const intolerablea = forbiddenAllergens.filter(a => !tolerableAllergens.includes(a));
-      if (intolerablea.length > 0) {
-        itemStatus.reasons.push(
-          `"${component.name}" contains intolerable allergen(s): ${intolerablea.join(', ')}`
-        );
-        hasIssue = true;
-      } else if (tolerableAllergens.length > 0) {
-        itemStatus.reasons.push(
-          `"${component.name}" contains tolerated form: ${tolerableAllergens.join(', ')}`
-        );
-      }
-    }
-
-    const forbiddenFlags = (component.contains_ingredient_flags || []).filter(flag => 
-      avoidIngredientFlags.includes(flag)
-    );
-
-    if (forbiddenFlags.length > 0) {
-      itemStatus.reasons.push(
-        `"${component.name}" contains ingredient flag(s): ${forbiddenFlags.join(', ')}`
-      );
-      hasIssue = true;
-    }
+function buildDish(item, components) {
+  const crossContactRisk = [...(item.cross_contact_risk || [])];
+  components.forEach(component => {
+    (component.cross_contact_risk || [])
+      .filter(risk => !crossContactRisk.includes(risk))
+      .forEach(risk => crossContactRisk.push(risk));
   });
 
-  // Check cross-contact risk only if crossContactOk is false
-  if (!crossContactOk && item.cross_contact_risk && item.cross_contact_risk.length > 0) {
-    const forbiddenRisks = item.cross_contact_risk.filter(risk => 
-      allergies.includes(risk)
-    );
-    if (forbiddenRisks.length > 0) {
-      itemStatus.reasons.push(
-        `Cross-contact risk: ${forbiddenRisks.join(', ')}`
-      );
-      hasIssue = true;
-    }
-  }
-
-  return !hasIssue;
+  return {
+    components,
+    crossContactRisk,
+    tags: item.tags || []
+  };
 }
 
 /**
- * Check if modifications can make item allergen-safe
- * Applies ALL applicable modifications together, not individually
+ * Build the dish with ALL given modifications applied together, not individually
  */
-function canModificationsMakeItemSafe(item, allergies, avoidIngredientFlags, crossContactOk, tolerateFlags = []) {
-  if (!item.modifications || item.modifications.length === 0) return false;
-
-  // Get ALL applicable modifications for these allergens and ingredient flags
-  const applicableMods = (item.modifications || []).filter(mod => {
-    if (mod.when && (mod.when.avoid_allergens || []).length > 0) {
-      if ((mod.when.avoid_allergens || []).some(allergen => allergies.includes(allergen))) {
-        return true;
-      }
-    }
-    if (mod.when && (mod.when.avoid_ingredient_flags || []).length > 0) {
-      if ((mod.when.avoid_ingredient_flags || []).some(flag => avoidIngredientFlags.includes(flag))) {
-        return true;
-      }
-    }
-    return false;
-  });
-
-  // If no applicable mods, can't make it safe
-  if (applicableMods.length === 0) return false;
-
-  // Apply ALL applicable modifications together to get effective components
+function buildModifiedDish(item, modifications) {
   let effectiveComponents = JSON.parse(JSON.stringify(item.components || []));
-  
-  for (const mod of applicableMods) {
+
+  for (const mod of modifications) {
     effectiveComponents = applyModification(effectiveComponents, mod);
   }
-  
-  // Re-check allergens and ingredient flags once with all modifications applied together
-  const testStatus = { reasons: [] };
-  const isNowSafe = checkComplianceOnComponents(
-    effectiveComponents, 
-    item.cross_contact_risk || [],
-    allergies,
-    avoidIngredientFlags,
-    crossContactOk,
-    tolerateFlags,
-    testStatus
-  );
-  
-  return isNowSafe;
+
+  return buildDish(item, effectiveComponents);
 }
 
 /**
@@ -210,15 +158,19 @@ function applyModification(components, modification) {
       comp.name !== modification.target_component
     );
   } else if (modification.action === 'substitute') {
-    // For substitution, we assume the substitute is safe (or we'd need allergen data for it)
-    // Mark as substituted so we know it's been handled
+    // The substitute is a full component with its own allergens and flags, so the
+    // modified dish is re-checked against it. Without that data the substitution
+    // can't be verified and the original component stays in place.
+    const substitute = modification.substitute_with;
+    if (!substitute || typeof substitute !== 'object') {
+      return effectiveComponents;
+    }
+
     effectiveComponents = effectiveComponents.map(comp => {
       if (comp.name === modification.target_component) {
-        return { 
-          name: modification.target_component, 
-          contains_allergens: [],
-          contains_ingredient_flags: [],
-          notes: `substituted with ${modification.substitute_with}`
+        return {
+          ...JSON.parse(JSON.stringify(substitute)),
+          substituted_for: modification.target_component
         };
       }
       return comp;
@@ -229,291 +181,234 @@ function applyModification(components, modification) {
 }
 
 /**
- * Check compliance on a list of components (used after modifications)
- * Also considers tolerated flags
+ * Check if a modification's "when" clause matches the guest's restrictions
+ * Matching mods are the ones the kitchen intends for this guest, so they rank first.
+ * Allergens and flags ruled out by the guest's diets count as avoided
+ * @param {Object} mod - Modification with a when clause
+ * @param {Object} profile - Guest profile with dietaryPreferences, allergies and avoidIngredientFlags
+ * @param {Object} context - { taxonomy, dietaryRules }
  */
-function checkComplianceOnComponents(components, crossContactRisk, allergies, avoidIngredientFlags, crossContactOk, tolerateFlags = [], itemStatus) {
-  if (allergies.length === 0 && avoidIngredientFlags.length === 0) return true;
-
-  let hasIssue = false;
-
-  // Check components for allergens and ingredient flags
-  (components || []).forEach(component => {
-    const forbiddenAllergens = (component.contains_allergens || []).filter(allergen => 
-      allergies.includes(allergen)
-    );
-
-    if (forbiddenAllergens.length > 0) {
-      // Check if user tolerates the forms this allergen appears in
-      const tolerableAllergens = forbiddenAllergens.filter(allergen => {
-        return isAllergenTolerable(component, allergen, tolerateFlags);
-      });
-
-      // Only block if there are allergens that aren't tolerable
-      const intolerablea = forbiddenAllergens.filter(a => !tolerableAllergens.includes(a));
-      if (intolerablea.length > 0) {
-        itemStatus.reasons.push(
-          `"${component.name}" contains intolerable allergen(s): ${intolerablea.join(', ')}`
-        );
-        hasIssue = true;
-      }
-    }
-
-    const forbiddenFlags = (component.contains_ingredient_flags || []).filter(flag => 
-      avoidIngredientFlags.includes(flag)
-    );
-
-    if (forbiddenFlags.length > 0) {
-      itemStatus.reasons.push(
-        `"${component.name}" contains ingredient flag(s): ${forbiddenFlags.join(', ')}`
-      );
-      hasIssue = true;
+function isModificationTriggered(mod, profile, context) {
+  const when = mod.when || {};
+  const avoidedAllergens = [...profile.allergies];
+  const avoidedFlags = [...profile.avoidIngredientFlags];
+
+  profile.dietaryPreferences.forEach(pref => {
+    const restrictions = getDietRestrictions(context.dietaryRules || {}, pref);
+    if (restrictions) {
+      avoidedAllergens.push(...restrictions.allergens);
+      avoidedFlags.push(...restrictions.flags);
     }
   });
 
-  // Check cross-contact risk only if crossContactOk is false
-  if (!crossContactOk && (crossContactRisk || []).length > 0) {
-    const forbiddenRisks = (crossContactRisk || []).filter(risk => 
-      allergies.includes(risk)
-    );
-    if (forbiddenRisks.length > 0) {
-      itemStatus.reasons.push(
-        `Cross-contact risk: ${forbiddenRisks.join(', ')}`
-      );
-      hasIssue = true;
-    }
+  if ((when.avoid_allergens || []).some(allergen =>
+    avoidedAllergens.some(avoided => allergenMatches(context.taxonomy, allergen, avoided))
+  )) {
+    return true;
   }
-
-  return !hasIssue;
+  return (when.avoid_ingredient_flags || []).some(flag => avoidedFlags.includes(flag));
 }
 
 /**
- * Get applicable modifications for an item based on allergies and ingredient flags
+ * List index combinations of a given size, in order
+ * @returns {Array<Array<number>>} e.g., [[0, 1], [0, 2], [1, 2]] for (3, 2)
  */
-function getApplicableModifications(item, allergies, avoidIngredientFlags) {
-  return (item.modifications || []).filter(mod => {
-    if (mod.when && (mod.when.avoid_allergens || []).length > 0) {
-      if ((mod.when.avoid_allergens || []).some(allergen => allergies.includes(allergen))) {
-        return true;
-      }
-    }
-    if (mod.when && (mod.when.avoid_ingredient_flags || []).length > 0) {
-      if ((mod.when.avoid_ingredient_flags || []).some(flag => avoidIngredientFlags.includes(flag))) {
-        return true;
-      }
-    }
-    return false;
-  });
+function getCombinations(count, size, start = 0) {
+  if (size === 0) return [[]];
+
+  const combinations = [];
+  for (let i = start; i <= count - size; i++) {
+    getCombinations(count, size - 1, i + 1).forEach(rest => combinations.push([i, ...rest]));
+  }
+  return combinations;
 }
 
 /**
- * Layer 2: Filter by allergen tolerances (processed forms)
- * Some customers can tolerate specific processed forms of allergens
- * Mapping: gluten→soy_sauce, shellfish→oyster_sauce, peanut→peanut_oil, sesame→sesame_oil
- * @param {Object} layer1Results - Results from filterByDietaryAndAllergies
- * @param {Array<string>} allergies - User's allergies
- * @param {Object} tolerances - e.g., { gluten: { canUseSoySauce: true }, sesame: { canUseSesameOil: false } }
- * @returns {Object} Refined results with tolerance-safe items moved from filtered→safe
+ * Search an item's modifications for the smallest sets that make it safe
+ * Every modification is considered, not only those whose "when" clause matches, and
+ * only minimal sets are kept (no safe set contains another safe set). Sets are ranked by
+ * size, then by how many of their mods the kitchen intends for these restrictions.
+ * @param {Object} item - Menu item
+ * @param {Object} profile - Guest profile
+ * @param {Object} context - { taxonomy, dietaryRules }
+ * @returns {Object|null} { modifications, alternatives, remainingReasons } or null if no set works
  */
-function filterByTolerance(layer1Results, allergies, tolerances = {}) {
-  if (!tolerances || Object.keys(tolerances).length === 0) {
-    return layer1Results; // No tolerances specified, return as-is
+function findMinimalModifications(item, profile, context) {
+  const mods = (item.modifications || []).slice(0, MAX_SEARCH_MODIFICATIONS);
+  const safeSets = [];
+
+  for (let size = 1; size <= mods.length; size++) {
+    getCombinations(mods.length, size).forEach(indices => {
+      // Supersets of a safe set are never minimal
+      if (safeSets.some(safe => safe.indices.every(index => indices.includes(index)))) return;
+
+      const evaluation = evaluateDish(buildModifiedDish(item, indices.map(index => mods[index])), profile, context);
+      if (evaluation.blockingTypes.length === 0) {
+        safeSets.push({ indices, evaluation });
+      }
+    });
   }
 
-  const toleranceMapping = {
-    'gluten': { flag: 'soy_sauce', key: 'canUseSoySauce' },
-    'shellfish': { flag: 'oyster_sauce', key: 'canUseOysterSauce' },
-    'peanut': { flag: 'peanut_oil', key: 'canUsePeanutOil' },
-    'sesame': { flag: 'sesame_oil', key: 'canUseSesameOil' }
-  };
+  if (safeSets.length === 0) return null;
 
-  const refinedResults = {
-    safe: [...layer1Results.safe],
-    filtered: [],
-    canBeModified: [...layer1Results.canBeModified]
-  };
+  const triggeredCount = set => set.indices.filter(index => isModificationTriggered(mods[index], profile, context)).length;
+  safeSets.sort((a, b) => a.indices.length - b.indices.length || triggeredCount(b) - triggeredCount(a));
 
-  // Re-evaluate filtered items with tolerance knowledge
-  (layer1Results.filtered || []).forEach(filteredItem => {
-    const originalItem = (menuData.items || []).find(item => item.id === filteredItem.id);
-    if (!originalItem) {
-      refinedResults.filtered.push(filteredItem);
-      return;
-    }
-
-    let isSafeWithTolerance = true;
-    let toleranceReasoning = [];
-
-    // Check each allergen the user avoids
-    for (const allergen of allergies) {
-      const mapping = toleranceMapping[allergen];
-      if (!mapping) continue; // No tolerance mapping for this allergen
-
-      const tolerance = tolerances[allergen];
-      if (!tolerance || !tolerance[mapping.key]) continue; // User doesn't tolerate this form
-
-      // User tolerates this processed form
-      // Check if ALL instances of this allergen in the item ONLY use the tolerable form
-      const isOnlyTolerablyPresent = checkIfOnlyTolerablyPresent(
-        originalItem,
-        allergen,
-        mapping.flag
-      );
-
-      if (!isOnlyTolerablyPresent) {
-        isSafeWithTolerance = false;
-        break;
-      }
-
-      toleranceReasoning.push(`Can tolerate ${allergen} in form: ${mapping.flag}`);
-    }
-
-    if (isSafeWithTolerance && toleranceReasoning.length > 0) {
-      // Move to safe with tolerance note, preserving original reasons
-      const tolerantItem = { ...filteredItem };
-      tolerantItem.tolerance_notes = toleranceReasoning;
-      tolerantItem.toleranceAllowed = true;
-      refinedResults.safe.push(tolerantItem);
-    } else {
-      refinedResults.filtered.push(filteredItem);
-    }
-  });
+  const explain = set => set.indices.map(index => ({
+    ...mods[index],
+    resolves: getResolvedReasons(item, set.indices.map(i => mods[i]), mods[index], set.evaluation, profile, context)
+  }));
 
-  return refinedResults;
+  return {
+    modifications: explain(safeSets[0]),
+    alternatives: safeSets.slice(1, MAX_ALTERNATIVES + 1).map(explain),
+    remainingReasons: safeSets[0].evaluation.reasons
+  };
 }
 
 /**
- * Check if an allergen only appears in its tolerable form (processed form)
- * @param {Object} item - Menu item
- * @param {string} allergen - e.g., "sesame"
- * @param {string} tolerableFlag - e.g., "sesame_oil"
- * @returns {boolean} True if allergen only appears via the tolerable flag
+ * Check if any set of an item's modifications makes it safe, stopping at the first that does
+ * Finds a set exactly when findMinimalModifications does, without ranking or explaining the sets
+ * @returns {boolean}
  */
-function checkIfOnlyTolerablyPresent(item, allergen, tolerableFlag) {
-  const components = item.components || [];
-
-  // Check each component
-  for (const component of components) {
-    const hasAllergen = (component.contains_allergens || []).includes(allergen);
-    
-    if (hasAllergen) {
-      // This component has the allergen
-      // Check if it ONLY has the tolerable form (e.g., sesame_oil, not sesame_seed)
-      const flags = component.contains_ingredient_flags || [];
-      const hasTolerablyForm = flags.includes(tolerableFlag);
-      const hasOtherForms = flags.filter(f => 
-        f !== tolerableFlag && isRelatedToAllergen(f, allergen)
-      ).length > 0;
-
-      // If it has the intolerable form alongside, fail
-      if (hasOtherForms) {
-        return false;
-      }
+function hasSafeModifications(item, profile, context) {
+  const mods = (item.modifications || []).slice(0, MAX_SEARCH_MODIFICATIONS);
 
-      // If it doesn't have the tolerable form at all, fail
-      if (!hasTolerablyForm) {
-        return false;
-      }
-    }
+  for (let size = 1; size <= mods.length; size++) {
+    const found = getCombinations(mods.length, size).some(indices =>
+      evaluateDish(buildModifiedDish(item, indices.map(index => mods[index])), profile, context).blockingTypes.length === 0
+    );
+    if (found) return true;
   }
-
-  return true;
+  return false;
 }
 
 /**
- * Check if an allergen is tolerable in a specific component
- * Simple rule: If allergen is present, it's only tolerable if component contains
- * at least one of the user's tolerateFlags that relates to this allergen
- * @param {Object} component - Component object
- * @param {string} allergen - e.g., "sesame"
- * @param {Array<string>} tolerateFlags - e.g., ["sesame_oil", "soy_sauce"]
- * @returns {boolean} True if component has at least one tolerated form of this allergen
+ * Get the blocking reasons a single modification resolves within a set of modifications
+ * These are the reasons present with every other mod in the set applied but gone once this one is added
  */
-function isAllergenTolerable(component, allergen, tolerateFlags = []) {
-  if (tolerateFlags.length === 0) {
-    return false; // No tolerances specified, can't tolerate any allergen
-  }
-
-  // Get flags from this component
-  const componentFlags = component.contains_ingredient_flags || [];
+function getResolvedReasons(item, setMods, mod, setEvaluation, profile, context) {
+  const withoutMod = evaluateDish(buildModifiedDish(item, setMods.filter(other => other !== mod)), profile, context);
+  const remainingMessages = setEvaluation.reasons.map(reason => reason.message);
 
-  // Find which tolerated flags are related to this allergen
-  const toleratedFormsOfAllergen = tolerateFlags.filter(flag => 
-    isRelatedToAllergen(flag, allergen)
+  return withoutMod.reasons.filter(reason =>
+    reason.type !== 'tolerated' && !remainingMessages.includes(reason.message)
   );
+}
 
-  // Component is tolerable if it contains at least one of the tolerated forms
-  return toleratedFormsOfAllergen.some(toleratedFlag => 
-    componentFlags.includes(toleratedFlag)
-  );
+/**
+ * Get the tolerance table from the menu data
+ * Each entry maps an allergen to a processed form (ingredient flag) some guests tolerate
+ * @param {string} menuId - Menu id (default: main)
+ * @returns {Array<Object>} e.g., [{ allergen: "gluten", flag: "soy_sauce", key: "canUseSoySauce", question: "..." }]
+ */
+function getToleranceTable(menuId = DEFAULT_MENU_ID) {
+  return getMenu(menuId).tolerances || [];
 }
 
 /**
- * Check if an ingredient flag is related to an allergen
- * @param {string} flag - e.g., "sesame_seed"
- * @param {string} allergen - e.g., "sesame"
- * @returns {boolean}
+ * Resolve flat and structured tolerances into a single list of tolerated ingredient flags
+ * @param {Array<string>} tolerateFlags - Flat flags e.g., ["soy_sauce"]
+ * @param {Object} tolerances - Structured e.g., { gluten: { canUseSoySauce: true }, sesame: { canUseSesameOil: false } }
+ * @param {Object} menu - Menu data whose tolerance table applies (default: main)
+ * @returns {Array<string>} Tolerated ingredient flags
  */
-function isRelatedToAllergen(flag, allergen) {
-  const relations = {
-    'sesame': ['sesame_seed', 'sesame_oil'],
-    'peanut': ['peanut_oil'],
-    'gluten': ['soy_sauce'],
-    'shellfish': ['oyster_sauce']
-  };
+function resolveTolerateFlags(tolerateFlags = [], tolerances = {}, menu = getMenu(DEFAULT_MENU_ID)) {
+  const resolved = [...tolerateFlags];
+
+  (menu.tolerances || []).forEach(entry => {
+    const tolerance = (tolerances || {})[entry.allergen];
+    if (tolerance && tolerance[entry.key] === true && !resolved.includes(entry.flag)) {
+      resolved.push(entry.flag);
+    }
+  });
 
-  const relatedFlags = relations[allergen] || [];
-  return relatedFlags.includes(flag);
+  return resolved;
 }
 
 /**
- * Generate a multi-allergy report showing safe items for all combined allergies
- * and safe items for each individual allergy
- * @param {Object} tableProfile - Profile with dietary preferences, allergies, flags, tolerances, cross-contact setting
- * @returns {Object} { safeForAll, safeByAllergy }
+ * Normalize a table profile into a list of guest profiles
+ * Accepts either { guests: [...] } or a single flat profile (treated as one guest)
+ * @param {Object} tableProfile - Table profile from the API
+ * @param {Object} menu - Menu data whose tolerance table applies
+ * @returns {Array<Object>} Guest profiles with defaults applied
  */
-function runMultiAllergyReport(tableProfile) {
-  const {
-    dietaryPreferences = [],
-    avoidAllergens = [],
-    avoidIngredientFlags = [],
-    tolerateFlags = [],
-    crossContactOk = false
-  } = tableProfile;
-
-  // Single combined pass with all allergens together
-  const combinedResults = filterByDietaryAndAllergies(
-    dietaryPreferences,
-    avoidAllergens,
-    avoidIngredientFlags,
-    crossContactOk,
-    tolerateFlags
-  );
-
-  const report = {
-    safeForAll: combinedResults.safe,
-    safeByAllergy: {}
-  };
+function normalizeGuests(tableProfile, menu) {
+  const guests = Array.isArray(tableProfile.guests) ? tableProfile.guests : [tableProfile];
+
+  return guests.map((guest, index) => ({
+    name: guest.name || `Guest ${index + 1}`,
+    seat: guest.seat !== undefined ? guest.seat : index + 1,
+    dietaryPreferences: guest.dietaryPreferences || [],
+    avoidAllergens: guest.avoidAllergens || [],
+    avoidIngredientFlags: guest.avoidIngredientFlags || [],
+    tolerateFlags: resolveTolerateFlags(guest.tolerateFlags || [], guest.tolerances || {}, menu),
+    allergenSeverities: guest.allergenSeverities || {},
+    crossContactOk: guest.crossContactOk === true
+  }));
+}
 
-  // Optional per-allergy passes
-  (avoidAllergens || []).forEach(allergen => {
-    const singleAllergyResults = filterByDietaryAndAllergies(
-      dietaryPreferences,
-      [allergen],
-      avoidIngredientFlags,
-      crossContactOk,
-      tolerateFlags
+/**
+ * Generate a table report with a safe/modifiable/filtered breakdown for each guest
+ * and the list of dishes every guest can share without modification
+ * Each guest's report also has meal suggestions (one dish per course, balanced by the menu's pairing_rules)
+ * @param {Object} tableProfile - { menuId, at, guests: [{ name, seat, dietaryPreferences, avoidAllergens, avoidIngredientFlags, tolerateFlags, tolerances, allergenSeverities, crossContactOk }] }
+ * @param {Object} options - { menu } evaluates given data for the menu instead of loading it
+ *   (e.g., the exact version recorded in the audit log); { countsOnly } skips the modification
+ *   plans and meal suggestions when only the size of each list is needed
+ * @returns {Object} { menuId, guests, shareableByEveryone }
+ */
+function runMultiAllergyReport(tableProfile, options = {}) {
+  const menuId = tableProfile.menuId || DEFAULT_MENU_ID;
+  const at = tableProfile.at ? new Date(tableProfile.at) : new Date();
+  const menu = options.menu || getMenu(menuId);
+  const guests = normalizeGuests(tableProfile, menu);
+
+  const guestReports = guests.map(guest => {
+    const results = filterByDietaryAndAllergies(
+      guest.dietaryPreferences,
+      guest.avoidAllergens,
+      guest.avoidIngredientFlags,
+      guest.crossContactOk,
+      guest.tolerateFlags,
+      guest.allergenSeverities,
+      { menu, at, countsOnly: options.countsOnly }
     );
 
-    report.safeByAllergy[allergen] = singleAllergyResults.safe;
+    return {
+      name: guest.name,
+      seat: guest.seat,
+      profile: guest,
+      safe: results.safe,
+      canBeModified: results.canBeModified,
+      filtered: results.filtered,
+      mealSuggestions: options.countsOnly ? [] : buildMealSuggestions(results, menu)
+    };
   });
 
-  return report;
+  // A dish is shareable only if it is safe as served for every guest
+  const shareableByEveryone = (guestReports.length > 0 ? guestReports[0].safe : [])
+    .filter(item => guestReports.every(report =>
+      report.safe.some(safeItem => safeItem.id === item.id)
+    ))
+    .map(item => ({ id: item.id, name: item.name, category: item.category }));
+
+  return {
+    menuId,
+    guests: guestReports,
+    shareableByEveryone
+  };
 }
 
 // Export functions
 module.exports = {
   filterByDietaryAndAllergies,
   runMultiAllergyReport,
-  menuData
+  getToleranceTable,
+  resolveTolerateFlags,
+  SEVERITY_LEVELS,
+  get menuData() {
+    return getMenu();
+  }
 };
+
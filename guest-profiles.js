@@ -0,0 +1,187 @@
+// Saved guest profiles for HORP Bot
+// Regulars' restrictions are kept in a local JSON file so staff can look them up by
+// name, phone or reservation id instead of walking through the whole chat again
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SEVERITY_LEVELS } = require('./compliance-rules');
+const { writeJsonAtomic } = require('./shared-utils');
+
+const PROFILES_PATH = path.join(__dirname, 'data', 'guest-profiles.json');
+
+// Profile fields that hold lists of strings
+const LIST_FIELDS = ['dietaryPreferences', 'avoidAllergens', 'avoidIngredientFlags', 'tolerateFlags', 'reservationIds'];
+
+/**
+ * Read every saved profile
+ * @returns {Array<Object>}
+ */
+function readProfiles() {
+  if (!fs.existsSync(PROFILES_PATH)) return [];
+  return JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8'));
+}
+
+/**
+ * Persist every saved profile
+ */
+function writeProfiles(profiles) {
+  writeJsonAtomic(PROFILES_PATH, profiles);
+}
+
+/**
+ * Reduce a phone number to its digits so "(555) 010-2000" matches "5550102000"
+ */
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+/**
+ * Find saved profiles by name, phone or reservation id
+ * Name matches are case-insensitive and partial; phone and reservation id must match exactly
+ * @param {Object} query - { name, phone, reservationId } or { q } to match any of them
+ * @returns {Array<Object>} Matching profiles, most recently updated first
+ */
+function findGuestProfiles(query = {}) {
+  const matchesName = (profile, name) => profile.name.toLowerCase().includes(name.trim().toLowerCase());
+  const matchesPhone = (profile, phone) => normalizePhone(phone).length > 0 && normalizePhone(profile.phone) === normalizePhone(phone);
+  const matchesReservation = (profile, reservationId) => (profile.reservationIds || []).includes(reservationId.trim());
+
+  return readProfiles()
+    .filter(profile => {
+      if (query.q) {
+        return matchesName(profile, query.q) || matchesPhone(profile, query.q) || matchesReservation(profile, query.q);
+      }
+      if (query.name && !matchesName(profile, query.name)) return false;
+      if (query.phone && !matchesPhone(profile, query.phone)) return false;
+      if (query.reservationId && !matchesReservation(profile, query.reservationId)) return false;
+      return Boolean(query.name || query.phone || query.reservationId);
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get a saved profile by id
+ * @returns {Object|null}
+ */
+function getGuestProfile(profileId) {
+  return readProfiles().find(profile => profile.id === profileId) || null;
+}
+
+/**
+ * Validate a guest profile before saving
+ * @param {Object} profile - { name, phone, reservationIds, dietaryPreferences, avoidAllergens, avoidIngredientFlags,
+ *   tolerateFlags, allergenSeverities, crossContactOk, tolerance_answers }
+ * @returns {Array<string>} Validation errors
+ */
+function validateGuestProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be an object'];
+  }
+
+  if (typeof profile.name !== 'string' || profile.name.trim().length === 0) {
+    errors.push('name is required');
+  }
+
+  if (profile.phone !== undefined && typeof profile.phone !== 'string') {
+    errors.push('phone must be a string');
+  }
+
+  LIST_FIELDS
+    .filter(field => profile[field] !== undefined &&
+      !(Array.isArray(profile[field]) && profile[field].every(entry => typeof entry === 'string')))
+    .forEach(field => errors.push(`${field} must be an array of strings`));
+
+  Object.values(profile.allergenSeverities || {})
+    .filter(severity => !SEVERITY_LEVELS.includes(severity))
+    .forEach(severity => errors.push(`Unknown severity: ${severity}. Expected one of: ${SEVERITY_LEVELS.join(', ')}`));
+
+  if (profile.crossContactOk !== undefined && typeof profile.crossContactOk !== 'boolean') {
+    errors.push('crossContactOk must be true or false');
+  }
+
+  Object.keys(profile.tolerance_answers || {})
+    .filter(allergen => typeof profile.tolerance_answers[allergen] !== 'boolean')
+    .forEach(allergen => errors.push(`tolerance_answers.${allergen} must be true or false`));
+
+  return errors;
+}
+
+/**
+ * Keep only the fields a saved profile stores, with defaults applied
+ */
+function pickProfileFields(profile) {
+  return {
+    name: profile.name.trim(),
+    phone: profile.phone || '',
+    reservationIds: profile.reservationIds || [],
+    dietaryPreferences: profile.dietaryPreferences || [],
+    avoidAllergens: profile.avoidAllergens || [],
+    avoidIngredientFlags: profile.avoidIngredientFlags || [],
+    tolerateFlags: profile.tolerateFlags || [],
+    allergenSeverities: profile.allergenSeverities || {},
+    crossContactOk: profile.crossContactOk === true,
+    tolerance_answers: profile.tolerance_answers || {}
+  };
+}
+
+/**
+ * Save a new guest profile
+ * @param {Object} profile - Validated profile
+ * @returns {Object} The stored profile with its id and timestamps
+ */
+function createGuestProfile(profile, now = new Date()) {
+  const stored = {
+    id: crypto.randomUUID(),
+    ...pickProfileFields(profile),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+
+  writeProfiles([...readProfiles(), stored]);
+  return stored;
+}
+
+/**
+ * Replace a saved guest profile
+ * @returns {Object|null} The stored profile, or null when the id is unknown
+ */
+function updateGuestProfile(profileId, profile, now = new Date()) {
+  const profiles = readProfiles();
+  const index = profiles.findIndex(entry => entry.id === profileId);
+  if (index === -1) return null;
+
+  profiles[index] = {
+    id: profileId,
+    ...pickProfileFields(profile),
+    createdAt: profiles[index].createdAt,
+    updatedAt: now.toISOString()
+  };
+
+  writeProfiles(profiles);
+  return profiles[index];
+}
+
+/**
+ * Delete a saved guest profile
+ * @returns {boolean} Whether a profile was removed
+ */
+function deleteGuestProfile(profileId) {
+  const profiles = readProfiles();
+  const remaining = profiles.filter(entry => entry.id !== profileId);
+  if (remaining.length === profiles.length) return false;
+
+  writeProfiles(remaining);
+  return true;
+}
+
+module.exports = {
+  findGuestProfiles,
+  getGuestProfile,
+  validateGuestProfile,
+  createGuestProfile,
+  updateGuestProfile,
+  deleteGuestProfile
+};
@@ -0,0 +1,213 @@
+// Ingredient and sub-recipe library for HORP Bot
+// Shared ingredients (a supplier's soy sauce, the house garnish) are described once in
+// menu.json "ingredients" and referenced by id from components, so their allergens and
+// flags roll up into every dish that uses them instead of being repeated per dish
+
+const { addUnique, validateVocabList } = require('./shared-utils');
+
+/**
+ * Roll up an ingredient's allergen data, including every sub-recipe ingredient it uses
+ * Unknown ids and cycles are skipped here; validateIngredientLibrary reports them
+ * @param {Object} library - menu.ingredients
+ * @param {string} ingredientId - e.g., "soy_sauce"
+ * @param {Array<string>} seen - Ingredient ids already on the path (cycle guard)
+ * @returns {Object} { contains_allergens, contains_ingredient_flags, cross_contact_risk }
+ */
+function rollUpIngredient(library, ingredientId, seen = []) {
+  const rolledUp = { contains_allergens: [], contains_ingredient_flags: [], cross_contact_risk: [] };
+  const ingredient = library[ingredientId];
+
+  if (!ingredient || seen.includes(ingredientId)) return rolledUp;
+
+  addUnique(rolledUp.contains_allergens, ingredient.contains_allergens);
+  addUnique(rolledUp.contains_ingredient_flags, ingredient.contains_ingredient_flags);
+  addUnique(rolledUp.cross_contact_risk, ingredient.cross_contact_risk);
+
+  (ingredient.ingredients || []).forEach(subId => {
+    const sub = rollUpIngredient(library, subId, [...seen, ingredientId]);
+    addUnique(rolledUp.contains_allergens, sub.contains_allergens);
+    addUnique(rolledUp.contains_ingredient_flags, sub.contains_ingredient_flags);
+    addUnique(rolledUp.cross_contact_risk, sub.cross_contact_risk);
+  });
+
+  return rolledUp;
+}
+
+/**
+ * List the allergen sources behind an ingredient: the ingredient itself and each sub-recipe ingredient,
+ * each with only its own allergens and flags
+ * @returns {Array<Object>} e.g., [{ ingredient: "soy_sauce", contains_allergens: ["gluten"], contains_ingredient_flags: ["soy_sauce"] }]
+ */
+function listAllergenSources(library, ingredientId, seen = []) {
+  const ingredient = library[ingredientId];
+  if (!ingredient || seen.includes(ingredientId)) return [];
+
+  const own = {
+    ingredient: ingredientId,
+    contains_allergens: ingredient.contains_allergens || [],
+    contains_ingredient_flags: ingredient.contains_ingredient_flags || []
+  };
+
+  return (ingredient.ingredients || []).reduce((sources, subId) =>
+    sources.concat(listAllergenSources(library, subId, [...seen, ingredientId]))
+  , [own]);
+}
+
+/**
+ * Resolve a component's library references into its effective allergen data
+ * The component's own contains_* lists are kept and merged with the rolled-up ingredients.
+ * allergen_sources keeps which ingredient brought in which allergen, so a tolerated form
+ * (soy sauce) can't excuse the same allergen coming from another ingredient (a wheat wrapper)
+ * @param {Object} component - e.g., { name: "marinade", ingredients: ["soy_sauce"] }
+ * @param {Object} menu - Menu data with ingredients
+ * @returns {Object} Component with contains_allergens, contains_ingredient_flags, cross_contact_risk
+ *   and allergen_sources filled in
+ */
+function resolveComponent(component, menu) {
+  if (!component || !Array.isArray(component.ingredients)) return component;
+
+  const library = menu.ingredients || {};
+  const resolved = {
+    ...component,
+    contains_allergens: [...(component.contains_allergens || [])],
+    contains_ingredient_flags: [...(component.contains_ingredient_flags || [])],
+    cross_contact_risk: [...(component.cross_contact_risk || [])],
+    allergen_sources: [{
+      ingredient: null,
+      contains_allergens: component.contains_allergens || [],
+      contains_ingredient_flags: component.contains_ingredient_flags || []
+    }]
+  };
+
+  component.ingredients.forEach(ingredientId => {
+    const rolledUp = rollUpIngredient(library, ingredientId);
+    addUnique(resolved.contains_allergens, rolledUp.contains_allergens);
+    addUnique(resolved.contains_ingredient_flags, rolledUp.contains_ingredient_flags);
+    addUnique(resolved.cross_contact_risk, rolledUp.cross_contact_risk);
+    resolved.allergen_sources.push(...listAllergenSources(library, ingredientId));
+  });
+
+  return resolved;
+}
+
+/**
+ * Resolve every component of a menu item, including substitute components in modifications
+ * @param {Object} item - Menu item as stored in menu.json
+ * @param {Object} menu - Menu data with ingredients
+ * @returns {Object} Item whose components carry their rolled-up allergen data
+ */
+function resolveMenuItem(item, menu) {
+  return {
+    ...item,
+    components: (item.components || []).map(component => resolveComponent(component, menu)),
+    modifications: (item.modifications || []).map(modification =>
+      modification.substitute_with && typeof modification.substitute_with === 'object'
+        ? { ...modification, substitute_with: resolveComponent(modification.substitute_with, menu) }
+        : modification
+    )
+  };
+}
+
+/**
+ * Check if an ingredient is used by another, directly or through its sub-recipes
+ */
+function ingredientUses(library, ingredientId, targetId, seen = []) {
+  if (ingredientId === targetId) return true;
+  if (seen.includes(ingredientId)) return false;
+
+  return ((library[ingredientId] || {}).ingredients || []).some(subId =>
+    ingredientUses(library, subId, targetId, [...seen, ingredientId])
+  );
+}
+
+/**
+ * Find every dish that uses an ingredient, directly or through a sub-recipe
+ * @param {Object} menu - Menu data with ingredients and items
+ * @param {string} ingredientId - e.g., "soy_sauce"
+ * @returns {Array<Object>} e.g., [{ id: "E02", name, category, components: ["soy sauce"] }]
+ */
+function findDishesUsingIngredient(menu, ingredientId) {
+  const library = menu.ingredients || {};
+  const usesIngredient = component => (component.ingredients || []).some(id =>
+    ingredientUses(library, id, ingredientId)
+  );
+
+  return (menu.items || [])
+    .map(item => {
+      const substitutes = (item.modifications || [])
+        .filter(modification => modification.substitute_with && typeof modification.substitute_with === 'object')
+        .map(modification => modification.substitute_with);
+
+      return {
+        id: item.id,
+        name: item.name,
+        category: item.category,
+        components: [...(item.components || []), ...substitutes]
+          .filter(usesIngredient)
+          .map(component => component.name)
+      };
+    })
+    .filter(dish => dish.components.length > 0);
+}
+
+/**
+ * Validate a single library ingredient against the vocabularies and the rest of the library
+ * @param {Object} ingredient - { name, contains_allergens, contains_ingredient_flags, cross_contact_risk, ingredients, notes }
+ * @param {string} ingredientId - Id the ingredient is stored under
+ * @param {Object} menu - Menu data with vocabularies and ingredients
+ * @returns {Array<string>} Validation errors
+ */
+function validateIngredient(ingredient, ingredientId, menu) {
+  const label = `ingredients.${ingredientId}`;
+  const library = menu.ingredients || {};
+  const errors = [];
+
+  if (!ingredient || typeof ingredient !== 'object' || Array.isArray(ingredient)) {
+    return [`${label} must be an object`];
+  }
+
+  if (typeof ingredient.name !== 'string' || ingredient.name.trim().length === 0) {
+    errors.push(`${label}.name is required`);
+  }
+
+  validateVocabList(ingredient.contains_allergens, menu.allergen_vocab || [], `${label}.contains_allergens`, errors);
+  validateVocabList(ingredient.contains_ingredient_flags, menu.ingredient_flags_vocab || [], `${label}.contains_ingredient_flags`, errors);
+  validateVocabList(ingredient.cross_contact_risk, menu.allergen_vocab || [], `${label}.cross_contact_risk`, errors);
+
+  if (ingredient.ingredients !== undefined) {
+    if (!Array.isArray(ingredient.ingredients)) {
+      errors.push(`${label}.ingredients must be an array of ingredient ids`);
+    } else {
+      ingredient.ingredients
+        .filter(subId => !library[subId])
+        .forEach(subId => errors.push(`${label}.ingredients references unknown ingredient "${subId}"`));
+
+      if (ingredient.ingredients.some(subId => ingredientUses(library, subId, ingredientId))) {
+        errors.push(`${label} uses itself through its sub-recipes`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the whole ingredient library
+ * @returns {Array<string>} Validation errors
+ */
+function validateIngredientLibrary(menu) {
+  const library = menu.ingredients || {};
+
+  return Object.keys(library).reduce((errors, ingredientId) =>
+    errors.concat(validateIngredient(library[ingredientId], ingredientId, menu))
+  , []);
+}
+
+module.exports = {
+  rollUpIngredient,
+  resolveComponent,
+  resolveMenuItem,
+  findDishesUsingIngredient,
+  validateIngredient,
+  validateIngredientLibrary
+};
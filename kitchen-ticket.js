@@ -0,0 +1,233 @@
+// Kitchen ticket (chit) generation for HORP Bot
+// Turns a table's chosen dishes into a ticket listing each required modification
+// and an ALLERGY banner per seat, rendered for thermal printers or as HTML
+
+const { runMultiAllergyReport } = require('./engine');
+
+// Characters per line on an 80mm thermal printer
+const TICKET_WIDTH = 42;
+
+// ESC/POS emphasis on/off
+const ESC_BOLD_ON = '\x1bE\x01';
+const ESC_BOLD_OFF = '\x1bE\x00';
+
+/**
+ * Build a kitchen ticket for a table's final order
+ * @param {Object} order - { table, menuId, guests: [{ seat, name, ...profile, dishes: ["E02", ...] }] }
+ * @param {Date} createdAt - Time printed on the ticket
+ * @returns {Object} { table, createdAt, seats: [{ seat, name, allergens, dishes: [{ id, name, status, actions }] }] }
+ */
+function buildKitchenTicket(order, createdAt = new Date()) {
+  const guests = order.guests || [];
+  const report = runMultiAllergyReport({ guests, menuId: order.menuId, at: createdAt });
+
+  const seats = report.guests.map((guestReport, index) => {
+    const profile = guestReport.profile;
+
+    const dishes = (guests[index].dishes || []).map(dishId => {
+      const safeItem = guestReport.safe.find(item => item.id === dishId);
+      const modifiedItem = guestReport.canBeModified.find(item => item.id === dishId);
+      const filteredItem = guestReport.filtered.find(item => item.id === dishId);
+      const entry = safeItem || modifiedItem || filteredItem;
+
+      if (!entry) {
+        return { id: dishId, name: dishId, status: 'unknown', actions: [], reasons: [] };
+      }
+
+      return {
+        id: entry.id,
+        name: entry.name,
+        status: safeItem ? 'safe' : modifiedItem ? 'canBeModified' : 'filtered',
+        actions: (modifiedItem ? modifiedItem.modifications : []).map(describeAction),
+        reasons: entry.reasons
+      };
+    });
+
+    return {
+      seat: guestReport.seat,
+      name: guestReport.name,
+      allergens: profile.avoidAllergens.map(allergen => ({
+        allergen,
+        severity: profile.allergenSeverities[allergen] || 'allergy'
+      })),
+      dishes
+    };
+  });
+
+  return {
+    table: order.table,
+    createdAt,
+    seats
+  };
+}
+
+/**
+ * Describe a modification as a kitchen action
+ * @returns {Object} e.g., { action: "substitute", target: "soy sauce", replacement: "tamari" }
+ */
+function describeAction(modification) {
+  return {
+    action: modification.action,
+    target: modification.target_component,
+    replacement: modification.action === 'substitute' && modification.substitute_with
+      ? modification.substitute_with.name
+      : null
+  };
+}
+
+/**
+ * Format an action as a single ticket line
+ */
+function formatAction(action) {
+  if (action.action === 'substitute') {
+    return `SUB ${action.target} -> ${action.replacement}`;
+  }
+  return `${action.action.toUpperCase()} ${action.target}`;
+}
+
+/**
+ * Format a seat's allergens for the ALLERGY banner
+ */
+function formatAllergens(allergens) {
+  return allergens
+    .map(entry => `${entry.allergen} (${entry.severity})`.toUpperCase().replace(/_/g, ' '))
+    .join(', ');
+}
+
+/**
+ * Wrap text to the ticket width, indenting continuation lines
+ */
+function wrapLine(text, indent = '') {
+  const lines = [];
+  let line = indent;
+
+  text.split(' ').forEach(word => {
+    if (line.trim().length > 0 && line.length + word.length + 1 > TICKET_WIDTH) {
+      lines.push(line);
+      line = indent + '  ';
+    }
+    line += (line.trim().length > 0 ? ' ' : '') + word;
+  });
+
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Center text within the ticket width
+ */
+function centerLine(text) {
+  const padding = Math.max(0, Math.floor((TICKET_WIDTH - text.length) / 2));
+  return ' '.repeat(padding) + text;
+}
+
+/**
+ * Format the ticket timestamp without locale or timezone dependence
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 16);
+}
+
+/**
+ * Render a kitchen ticket as plain text for thermal printers
+ * @param {Object} ticket - Ticket from buildKitchenTicket
+ * @param {Object} options - { escpos: true } wraps the ALLERGY banner in ESC/POS bold codes
+ * @returns {string}
+ */
+function renderTicketText(ticket, options = {}) {
+  const rule = char => char.repeat(TICKET_WIDTH);
+  const bold = text => options.escpos ? ESC_BOLD_ON + text + ESC_BOLD_OFF : text;
+  const lines = [];
+
+  lines.push(rule('='));
+  lines.push(centerLine('KITCHEN TICKET'));
+  lines.push(`Table: ${ticket.table}`);
+  lines.push(`Time: ${formatTimestamp(ticket.createdAt)}`);
+  lines.push(rule('='));
+
+  ticket.seats.forEach(seat => {
+    lines.push(`SEAT ${seat.seat} - ${seat.name}`);
+
+    if (seat.allergens.length > 0) {
+      lines.push(bold(rule('*')));
+      wrapLine(`ALLERGY: ${formatAllergens(seat.allergens)}`).forEach(line => lines.push(bold(line)));
+      lines.push(bold(rule('*')));
+    }
+
+    seat.dishes.forEach(dish => {
+      wrapLine(`1x ${dish.name}`, '  ').forEach(line => lines.push(line));
+      dish.actions.forEach(action => {
+        wrapLine(`>> ${formatAction(action)}`, '     ').forEach(line => lines.push(line));
+      });
+    });
+
+    lines.push(rule('-'));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a kitchen ticket as a printable HTML document
+ * @param {Object} ticket - Ticket from buildKitchenTicket
+ * @returns {string}
+ */
+function renderTicketHtml(ticket) {
+  const seats = ticket.seats.map(seat => {
+    const banner = seat.allergens.length > 0
+      ? `    <div class="allergy-banner"><strong>ALLERGY: ${escapeHtml(formatAllergens(seat.allergens))}</strong></div>\n`
+      : '';
+
+    const dishes = seat.dishes.map(dish => {
+      const actions = dish.actions
+        .map(action => `        <li>${escapeHtml(formatAction(action))}</li>`)
+        .join('\n');
+      const actionList = actions ? `\n      <ul class="actions">\n${actions}\n      </ul>\n    ` : '';
+      return `    <li>1x ${escapeHtml(dish.name)}${actionList}</li>`;
+    }).join('\n');
+
+    return `  <section class="seat">
+    <h2>Seat ${escapeHtml(seat.seat)} - ${escapeHtml(seat.name)}</h2>
+${banner}    <ul class="dishes">
+${dishes}
+    </ul>
+  </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Kitchen Ticket - Table ${escapeHtml(ticket.table)}</title>
+  <style>
+    body { font-family: monospace; width: 80mm; }
+    .allergy-banner { border: 3px solid #000; padding: 4px; margin: 4px 0; font-size: 1.2em; }
+    .actions { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>Kitchen Ticket</h1>
+  <p>Table: ${escapeHtml(ticket.table)}<br>Time: ${escapeHtml(formatTimestamp(ticket.createdAt))}</p>
+${seats}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildKitchenTicket,
+  renderTicketText,
+  renderTicketHtml
+};
@@ -0,0 +1,222 @@
+// Menu data linter for HORP Bot
+// Reports data problems the filtering engine would silently tolerate
+// Usage: node lint-menu [path/to/menu.json]
+
+const fs = require('fs');
+const path = require('path');
+const { filterByDietaryAndAllergies } = require('./engine');
+const { validateMenuItem } = require('./menu-validation');
+const { validateDayparts } = require('./menu-availability');
+const { resolveMenuItem, validateIngredientLibrary } = require('./ingredient-library');
+const { validateSynonyms } = require('./allergy-parser');
+const { getDietIds, validateDietaryRules } = require('./dietary-rules');
+const { validatePairingRules } = require('./meal-pairing');
+const { getAllergenAncestors, getFormAllergens, allergenMatches, isFormOfAllergen } = require('./allergen-taxonomy');
+
+/**
+ * Lint the allergen taxonomy against the vocabularies
+ */
+function lintTaxonomy(menu, problems) {
+  const taxonomy = menu.allergen_taxonomy || {};
+  const allergenVocab = menu.allergen_vocab || [];
+  const flagsVocab = menu.ingredient_flags_vocab || [];
+
+  Object.keys(taxonomy).forEach(allergen => {
+    const entry = taxonomy[allergen] || {};
+
+    if (!allergenVocab.includes(allergen)) {
+      problems.push({ itemId: null, message: `allergen_taxonomy has unknown allergen "${allergen}"` });
+    }
+
+    (entry.children || []).forEach(child => {
+      if (!allergenVocab.includes(child)) {
+        problems.push({ itemId: null, message: `allergen_taxonomy.${allergen} has unknown child "${child}"` });
+      }
+      const parents = Object.keys(taxonomy).filter(key => (taxonomy[key].children || []).includes(child));
+      if (parents.length > 1 && parents[0] === allergen) {
+        problems.push({ itemId: null, message: `allergen "${child}" has more than one parent: ${parents.join(', ')}` });
+      }
+      if (getAllergenAncestors(taxonomy, allergen).includes(child) || child === allergen) {
+        problems.push({ itemId: null, message: `allergen_taxonomy has a cycle through "${allergen}" and "${child}"` });
+      }
+    });
+
+    (entry.forms || [])
+      .filter(form => !flagsVocab.includes(form))
+      .forEach(form => problems.push({
+        itemId: null,
+        message: `allergen_taxonomy.${allergen} has unknown form "${form}"`
+      }));
+  });
+}
+
+/**
+ * Lint the tolerance table against the vocabularies and flag → allergen map
+ */
+function lintToleranceTable(menu, problems) {
+  const taxonomy = menu.allergen_taxonomy || {};
+
+  (menu.tolerances || []).forEach((entry, index) => {
+    const label = `tolerances[${index}]`;
+
+    if (!(menu.allergen_vocab || []).includes(entry.allergen)) {
+      problems.push({ itemId: null, message: `${label} has unknown allergen "${entry.allergen}"` });
+    }
+    if (!(menu.ingredient_flags_vocab || []).includes(entry.flag)) {
+      problems.push({ itemId: null, message: `${label} has unknown flag "${entry.flag}"` });
+    } else if (!isFormOfAllergen(taxonomy, entry.flag, entry.allergen)) {
+      problems.push({
+        itemId: null,
+        message: `${label} flag "${entry.flag}" is not a form of allergen "${entry.allergen}" in allergen_taxonomy`
+      });
+    }
+    if (!entry.key || !entry.question) {
+      problems.push({ itemId: null, message: `${label} needs both a key and a question` });
+    }
+  });
+}
+
+/**
+ * Lint an item's pairing tags against its components, for balance rules that map tags to
+ * ingredient flags (e.g., a "chicken" dish must have a poultry component, and a poultry dish needs a tag for it)
+ */
+function lintPairingTags(item, resolved, menu, problems) {
+  const pairingTags = item.pairing_tags || [];
+  const flags = resolved.components.reduce((all, component) => all.concat(component.contains_ingredient_flags || []), []);
+
+  ((menu.pairing_rules || {}).balance || []).forEach(rule => {
+    const tagFlags = rule.tag_flags || {};
+
+    Object.keys(tagFlags)
+      .filter(tag => pairingTags.includes(tag) && !tagFlags[tag].some(flag => flags.includes(flag)))
+      .forEach(tag => problems.push({
+        itemId: item.id,
+        message: `pairing tag "${tag}" but no component has flag(s) ${tagFlags[tag].join(', ')}`
+      }));
+
+    const mappedFlags = Object.keys(tagFlags).reduce((all, tag) => all.concat(tagFlags[tag]), []);
+    mappedFlags
+      .filter((flag, index) => mappedFlags.indexOf(flag) === index && flags.includes(flag))
+      .filter(flag => !Object.keys(tagFlags).some(tag => pairingTags.includes(tag) && tagFlags[tag].includes(flag)))
+      .forEach(flag => problems.push({
+        itemId: item.id,
+        message: `a component has flag "${flag}" but the item has no ${rule.id} pairing tag for it`
+      }));
+  });
+}
+
+/**
+ * Lint a single item for problems beyond schema validity
+ */
+function lintItem(item, menu, problems) {
+  const taxonomy = menu.allergen_taxonomy || {};
+
+  validateMenuItem(item, menu).forEach(message => problems.push({ itemId: item.id || null, message }));
+
+  // Flags that imply an allergen the component (or a substitute) does not declare,
+  // after library ingredients are rolled up
+  const resolved = resolveMenuItem(item, menu);
+  const substitutes = resolved.modifications
+    .filter(modification => modification.action === 'substitute' && modification.substitute_with &&
+      typeof modification.substitute_with === 'object')
+    .map(modification => modification.substitute_with);
+
+  [...resolved.components, ...substitutes].forEach(component => {
+    const allergens = component.contains_allergens || [];
+    (component.contains_ingredient_flags || []).forEach(flag => {
+      getFormAllergens(taxonomy, flag)
+        .filter(allergen => !allergens.some(declared => allergenMatches(taxonomy, declared, allergen)))
+        .forEach(allergen => problems.push({
+          itemId: item.id,
+          message: `component "${component.name}" has flag "${flag}" but does not declare allergen "${allergen}"`
+        }));
+    });
+  });
+
+  lintPairingTags(item, resolved, menu, problems);
+
+  // Diets are derived from components, so a diet tag is never read
+  (item.tags || [])
+    .filter(tag => getDietIds(menu).includes(tag))
+    .forEach(tag => problems.push({
+      itemId: item.id,
+      message: `tag "${tag}" is ignored; dietary status is derived from components through dietary_rules`
+    }));
+
+  (item.modifications || []).forEach((modification, index) => {
+    const when = modification.when || {};
+    if ((when.avoid_allergens || []).length === 0 && (when.avoid_ingredient_flags || []).length === 0) {
+      problems.push({ itemId: item.id, message: `modifications[${index}] has an empty "when" clause and never applies` });
+    }
+  });
+}
+
+/**
+ * Lint menu data for integrity problems
+ * @param {Object} menu - Parsed menu data
+ * @returns {Array<Object>} Problems as { itemId, message } (itemId is null for menu-level problems)
+ */
+function lintMenu(menu) {
+  const problems = [];
+  const items = menu.items || [];
+
+  lintTaxonomy(menu, problems);
+  validateDayparts(menu.dayparts).forEach(message => problems.push({ itemId: null, message }));
+  validateIngredientLibrary(menu).forEach(message => problems.push({ itemId: null, message }));
+  validateSynonyms(menu).forEach(message => problems.push({ itemId: null, message }));
+  validateDietaryRules(menu).forEach(message => problems.push({ itemId: null, message }));
+  validatePairingRules(menu).forEach(message => problems.push({ itemId: null, message }));
+  lintToleranceTable(menu, problems);
+
+  const ids = items.map(item => item.id);
+  ids
+    .filter((id, index) => ids.indexOf(id) !== index)
+    .forEach(id => problems.push({ itemId: id, message: `duplicate item id "${id}"` }));
+
+  items.forEach(item => lintItem(item, menu, problems));
+
+  getDietIds(menu)
+    .filter(diet => {
+      const results = filterByDietaryAndAllergies([diet], [], [], true, [], {}, { menu, ignoreAvailability: true });
+      return results.safe.length + results.canBeModified.length === 0;
+    })
+    .forEach(diet => problems.push({
+      itemId: null,
+      message: `no dish fits dietary rule "${diet}", even with modifications, so the ${diet} filter rejects every dish`
+    }));
+
+  return problems;
+}
+
+/**
+ * Format a problem as a single report line
+ */
+function formatProblem(problem) {
+  return `${problem.itemId ? `[${problem.itemId}]` : '[menu]'} ${problem.message}`;
+}
+
+if (require.main === module) {
+  const menuPath = path.resolve(process.argv[2] || path.join(__dirname, 'menu.json'));
+
+  let menu;
+  try {
+    menu = JSON.parse(fs.readFileSync(menuPath, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read ${menuPath}: ${error.message}`);
+    process.exit(2);
+  }
+
+  const problems = lintMenu(menu);
+  problems.forEach(problem => console.log(formatProblem(problem)));
+
+  if (problems.length > 0) {
+    console.error(`\n${problems.length} problem(s) found in ${menuPath}`);
+    process.exit(1);
+  }
+
+  console.log(`No problems found in ${menuPath}`);
+}
+
+module.exports = {
+  lintMenu
+};
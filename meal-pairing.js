@@ -0,0 +1,201 @@
+// Meal suggestions for HORP Bot
+// Builds complete meals (one dish per course, e.g., appetizer + entree) from only the dishes a guest
+// can have, balanced by the menu's pairing_rules on each item's pairing_tags
+// (e.g., at most one spicy course, no protein twice)
+
+const { resolveComponent, resolveMenuItem } = require('./ingredient-library');
+const { addUnique } = require('./shared-utils');
+
+const DEFAULT_MAX_SUGGESTIONS = 3;
+
+/**
+ * Get every pairing tag the menu's balance rules know
+ * @returns {Array<string>} e.g., ["spicy", "mild", "chicken", ...]
+ */
+function getPairingTags(menu) {
+  const tags = [];
+  ((menu.pairing_rules || {}).balance || []).forEach(rule => addUnique(tags, rule.tags));
+  return tags;
+}
+
+/**
+ * Check a meal against a balance rule
+ * @param {Array<Object>} dishes - Dishes in the meal, with pairing_tags
+ * @param {Object} rule - { tags, limited_tags, max_per_meal }
+ * @returns {boolean} true when no limited tag (default: every tag) is on more than max_per_meal dishes
+ */
+function isBalanced(dishes, rule) {
+  const limitedTags = rule.limited_tags || rule.tags || [];
+  const maxPerMeal = rule.max_per_meal === undefined ? 1 : rule.max_per_meal;
+
+  return limitedTags.every(tag =>
+    dishes.filter(dish => dish.pairing_tags.includes(tag)).length <= maxPerMeal
+  );
+}
+
+/**
+ * Get a dish's pairing tags once the guest's modifications are made
+ * A tag the balance rules map to ingredient flags (tag_flags) is dropped when no remaining component
+ * carries one of them, e.g., a dish served without its bacon no longer counts as pork
+ * @param {Object} item - Menu item with pairing_tags
+ * @param {Array<Object>} modifications - Modifications the dish is made with, from the guest's canBeModified entry
+ * @param {Object} menu - Menu data with pairing_rules and ingredients
+ * @returns {Array<string>} e.g., ["mild", "seafood"]
+ */
+function getModifiedPairingTags(item, modifications, menu) {
+  const flags = [];
+  resolveMenuItem(item, menu).components.forEach(component => {
+    const modification = modifications.find(mod => mod.target_component === component.name);
+
+    if (!modification) {
+      addUnique(flags, component.contains_ingredient_flags);
+    } else if (modification.action === 'substitute') {
+      // Without substitute data the original component stays in place, as in the engine
+      const substitute = modification.substitute_with;
+      addUnique(flags, substitute && typeof substitute === 'object'
+        ? resolveComponent(substitute, menu).contains_ingredient_flags
+        : component.contains_ingredient_flags);
+    }
+  });
+
+  const tagFlags = {};
+  ((menu.pairing_rules || {}).balance || []).forEach(rule => Object.assign(tagFlags, rule.tag_flags || {}));
+
+  return (item.pairing_tags || []).filter(tag => !tagFlags[tag] || tagFlags[tag].some(flag => flags.includes(flag)));
+}
+
+/**
+ * Pick suggestions in order, preferring meals that share no dish with ones already picked
+ * so the guest sees more of the menu
+ */
+function pickVaried(meals, max) {
+  const picked = [];
+  const suggestedIds = [];
+
+  meals.forEach(meal => {
+    if (picked.length < max && !meal.dishes.some(dish => suggestedIds.includes(dish.id))) {
+      picked.push(meal);
+      meal.dishes.forEach(dish => suggestedIds.push(dish.id));
+    }
+  });
+
+  // Not enough distinct meals: fill up with the remaining ones
+  meals
+    .filter(meal => !picked.includes(meal))
+    .slice(0, max - picked.length)
+    .forEach(meal => picked.push(meal));
+
+  return picked;
+}
+
+/**
+ * Build meal suggestions for a guest from their filtering results
+ * Only safe and modifiable dishes are used, a modifiable one with its pairing tags after the modifications.
+ * Meals that don't repeat an already suggested dish are preferred, and suggestions needing fewer
+ * modified dishes come first, then menu order
+ * @param {Object} results - { safe, canBeModified } from filterByDietaryAndAllergies
+ * @param {Object} menu - Menu data with pairing_rules and items' pairing_tags
+ * @returns {Array<Object>} [{ dishes: [{ id, name, category, status }], modifiedDishes }]
+ *   where status is 'safe' or 'canBeModified' (its modifications are in the guest's canBeModified list)
+ */
+function buildMealSuggestions(results, menu) {
+  const pairingRules = menu.pairing_rules || {};
+  const courses = pairingRules.courses || [];
+  if (courses.length === 0) return [];
+
+  // Candidate dishes in menu order, with the pairing tags of the dish as the guest gets it
+  const candidates = (menu.items || [])
+    .map(item => {
+      const safe = results.safe.find(entry => entry.id === item.id);
+      const modifiable = results.canBeModified.find(entry => entry.id === item.id);
+      const entry = safe || modifiable;
+      if (!entry) return null;
+
+      return {
+        id: entry.id,
+        name: entry.name,
+        category: entry.category,
+        status: safe ? 'safe' : 'canBeModified',
+        pairing_tags: safe ? item.pairing_tags || [] : getModifiedPairingTags(item, modifiable.modifications || [], menu)
+      };
+    })
+    .filter(dish => dish !== null);
+
+  // Every combination of one dish per course
+  const meals = courses.reduce((partial, course) => {
+    const options = candidates.filter(dish => dish.category === course);
+    return partial.reduce((all, meal) => all.concat(options.map(dish => [...meal, dish])), []);
+  }, [[]]);
+
+  const balancedMeals = meals
+    .filter(meal => (pairingRules.balance || []).every(rule => isBalanced(meal, rule)))
+    .map(meal => ({
+      dishes: meal.map(({ pairing_tags, ...dish }) => dish),
+      modifiedDishes: meal.filter(dish => dish.status === 'canBeModified').length
+    }))
+    .sort((a, b) => a.modifiedDishes - b.modifiedDishes);
+
+  return pickVaried(balancedMeals, pairingRules.max_suggestions || DEFAULT_MAX_SUGGESTIONS)
+    .sort((a, b) => a.modifiedDishes - b.modifiedDishes);
+}
+
+/**
+ * Validate the menu's pairing rules and the pairing tags of the dishes they combine
+ * @returns {Array<string>} Validation errors
+ */
+function validatePairingRules(menu) {
+  const errors = [];
+  const pairingRules = menu.pairing_rules;
+  if (pairingRules === undefined) return errors;
+
+  const courses = pairingRules.courses || [];
+  const items = menu.items || [];
+
+  if (!Array.isArray(courses) || courses.length === 0) {
+    errors.push('pairing_rules.courses must list at least one category');
+  } else {
+    courses
+      .filter(course => !items.some(item => item.category === course))
+      .forEach(course => errors.push(`pairing_rules.courses has "${course}" but no item is in that category`));
+  }
+
+  (pairingRules.balance || []).forEach((rule, index) => {
+    const label = `pairing_rules.balance[${index}]`;
+    const tags = rule.tags || [];
+
+    if (!rule.id || !rule.label) {
+      errors.push(`${label} needs both an id and a label`);
+    }
+    if (tags.length === 0) {
+      errors.push(`${label} needs at least one tag`);
+    }
+    (rule.limited_tags || [])
+      .filter(tag => !tags.includes(tag))
+      .forEach(tag => errors.push(`${label}.limited_tags has "${tag}", which is not in its tags`));
+    if (rule.max_per_meal !== undefined && !(Number.isInteger(rule.max_per_meal) && rule.max_per_meal > 0)) {
+      errors.push(`${label}.max_per_meal must be a positive integer`);
+    }
+    Object.keys(rule.tag_flags || {}).forEach(tag => {
+      if (!tags.includes(tag)) {
+        errors.push(`${label}.tag_flags has "${tag}", which is not in its tags`);
+      }
+      (rule.tag_flags[tag] || [])
+        .filter(flag => !(menu.ingredient_flags_vocab || []).includes(flag))
+        .forEach(flag => errors.push(`${label}.tag_flags.${tag} has unknown flag "${flag}"`));
+    });
+
+    // A dish without any of the rule's tags would never be checked by it
+    items
+      .filter(item => courses.includes(item.category))
+      .filter(item => !(item.pairing_tags || []).some(tag => tags.includes(tag)))
+      .forEach(item => errors.push(`item ${item.id} has no ${rule.id} pairing tag (one of: ${tags.join(', ')})`));
+  });
+
+  return errors;
+}
+
+module.exports = {
+  getPairingTags,
+  buildMealSuggestions,
+  validatePairingRules
+};
@@ -0,0 +1,120 @@
+// Menu item availability for HORP Bot
+// Items can be limited to dayparts (defined per menu) and to a date window,
+// so filtering only considers dishes the kitchen is serving at a given time
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Format a date as YYYY-MM-DD in server local time
+ */
+function toLocalDateString(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Convert "HH:MM" into minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check if a time falls inside a daypart
+ * Dayparts that cross midnight (e.g., 22:00-02:00) are supported
+ * @param {Object} daypart - { start: "HH:MM", end: "HH:MM" }
+ * @param {Date} at - Time to check
+ * @returns {boolean}
+ */
+function isInDaypart(daypart, at) {
+  const now = at.getHours() * 60 + at.getMinutes();
+  const start = toMinutes(daypart.start);
+  const end = toMinutes(daypart.end);
+
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+/**
+ * Check if a menu item is being served at a given time
+ * Items without an availability block are always available
+ * @param {Object} item - Menu item with optional availability { dayparts, from, until }
+ * @param {Object} menu - Menu data with dayparts { name: { start, end } }
+ * @param {Date} at - Time to check (default: now)
+ * @returns {boolean}
+ */
+function isItemAvailable(item, menu, at = new Date()) {
+  const availability = item.availability;
+  if (!availability) return true;
+
+  const today = toLocalDateString(at);
+  if (availability.from && today < availability.from) return false;
+  if (availability.until && today > availability.until) return false;
+
+  const dayparts = availability.dayparts || [];
+  if (dayparts.length === 0) return true;
+
+  return dayparts.some(name => {
+    const daypart = (menu.dayparts || {})[name];
+    return daypart ? isInDaypart(daypart, at) : false;
+  });
+}
+
+/**
+ * Validate an item's availability block against the menu's dayparts
+ * @param {Object} availability - { dayparts, from, until }
+ * @param {Object} menu - Menu data with dayparts
+ * @returns {Array<string>} Validation errors
+ */
+function validateAvailability(availability, menu) {
+  const errors = [];
+
+  if (typeof availability !== 'object' || availability === null || Array.isArray(availability)) {
+    return ['availability must be an object'];
+  }
+
+  if (availability.dayparts !== undefined) {
+    if (!Array.isArray(availability.dayparts)) {
+      errors.push('availability.dayparts must be an array');
+    } else {
+      availability.dayparts
+        .filter(name => !(menu.dayparts || {})[name])
+        .forEach(name => errors.push(`availability.dayparts contains unknown daypart "${name}"`));
+    }
+  }
+
+  ['from', 'until'].forEach(field => {
+    if (availability[field] !== undefined && availability[field] !== null && !DATE_PATTERN.test(availability[field])) {
+      errors.push(`availability.${field} must be a YYYY-MM-DD date`);
+    }
+  });
+
+  if (availability.from && availability.until && availability.from > availability.until) {
+    errors.push('availability.from must not be after availability.until');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a menu's daypart definitions
+ * @returns {Array<string>} Validation errors
+ */
+function validateDayparts(dayparts) {
+  return Object.keys(dayparts || {})
+    .filter(name => {
+      const daypart = dayparts[name] || {};
+      return !TIME_PATTERN.test(daypart.start) || !TIME_PATTERN.test(daypart.end);
+    })
+    .map(name => `dayparts.${name} needs start and end times as HH:MM`);
+}
+
+module.exports = {
+  toLocalDateString,
+  isItemAvailable,
+  validateAvailability,
+  validateDayparts
+};
@@ -0,0 +1,277 @@
+// Menu change impact report for HORP Bot
+// Compares two menu versions: which components and substitutes gained or lost allergens, flags or
+// cross-contact risk, and which dishes moved between safe, canBeModified and filtered for each reference profile
+// Usage: node menu-diff <before.json> [after.json] [--profiles reference-profiles.json]
+
+const fs = require('fs');
+const path = require('path');
+const { filterByDietaryAndAllergies } = require('./engine');
+const { resolveMenuItem } = require('./ingredient-library');
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, 'reference-profiles.json');
+
+// Status of a dish that is not on one of the menu versions
+const ABSENT = 'absent';
+
+/**
+ * Compare two lists of terms
+ * @returns {Object} { added, removed }
+ */
+function diffTerms(before = [], after = []) {
+  return {
+    added: after.filter(term => !before.includes(term)),
+    removed: before.filter(term => !after.includes(term))
+  };
+}
+
+/**
+ * Check if a term diff has any changes
+ */
+function hasTermChanges(diff) {
+  return diff.added.length > 0 || diff.removed.length > 0;
+}
+
+/**
+ * List an item's components and the substitute components its modifications bring in,
+ * keyed so the same part can be found in another version of the item
+ * @returns {Array<Object>} [{ key, name, substituteFor, component }] where substituteFor is the
+ *   replaced component's name, or null for a component of the dish as served
+ */
+function listComparableComponents(item) {
+  const components = (item.components || []).map(component => ({
+    key: `component:${component.name}`,
+    name: component.name,
+    substituteFor: null,
+    component
+  }));
+  const substitutes = (item.modifications || [])
+    .filter(modification => modification.substitute_with && typeof modification.substitute_with === 'object')
+    .map(modification => ({
+      key: `substitute:${modification.target_component}:${modification.substitute_with.name}`,
+      name: modification.substitute_with.name,
+      substituteFor: modification.target_component,
+      component: modification.substitute_with
+    }));
+
+  return [...components, ...substitutes];
+}
+
+/**
+ * Compare the components (and modification substitutes) of two versions of an item, after library
+ * ingredients are rolled up
+ * @returns {Array<Object>} e.g., [{ name: "sauce", substituteFor: null, change: "changed",
+ *   allergens: { added: ["sesame"], removed: [] }, flags, crossContact }]
+ */
+function diffComponents(beforeItem, afterItem) {
+  const beforeParts = listComparableComponents(beforeItem);
+  const afterParts = listComparableComponents(afterItem);
+  const keys = [...beforeParts, ...afterParts]
+    .map(part => part.key)
+    .filter((key, index, all) => all.indexOf(key) === index);
+
+  return keys
+    .map(key => {
+      const beforePart = beforeParts.find(part => part.key === key);
+      const afterPart = afterParts.find(part => part.key === key);
+      const before = beforePart ? beforePart.component : {};
+      const after = afterPart ? afterPart.component : {};
+      const { name, substituteFor } = afterPart || beforePart;
+
+      const allergens = diffTerms(before.contains_allergens, after.contains_allergens);
+      const flags = diffTerms(before.contains_ingredient_flags, after.contains_ingredient_flags);
+      const crossContact = diffTerms(before.cross_contact_risk, after.cross_contact_risk);
+      const change = !beforePart ? 'added' : !afterPart ? 'removed' : 'changed';
+
+      return { name, substituteFor, change, allergens, flags, crossContact };
+    })
+    .filter(diff => diff.change !== 'changed' ||
+      hasTermChanges(diff.allergens) || hasTermChanges(diff.flags) || hasTermChanges(diff.crossContact));
+}
+
+/**
+ * List the changed items and components between two menu versions
+ * @param {Object} before - Menu data before the change
+ * @param {Object} after - Menu data after the change
+ * @returns {Object} { added, removed, changed: [{ id, name, components, crossContact }] }
+ */
+function diffMenus(before, after) {
+  const beforeItems = (before.items || []).map(item => resolveMenuItem(item, before));
+  const afterItems = (after.items || []).map(item => resolveMenuItem(item, after));
+  const summarize = item => ({ id: item.id, name: item.name });
+
+  const changed = afterItems
+    .map(afterItem => {
+      const beforeItem = beforeItems.find(item => item.id === afterItem.id);
+      if (!beforeItem) return null;
+
+      const crossContact = diffTerms(beforeItem.cross_contact_risk, afterItem.cross_contact_risk);
+      const components = diffComponents(beforeItem, afterItem);
+      if (components.length === 0 && !hasTermChanges(crossContact)) return null;
+
+      return { ...summarize(afterItem), components, crossContact };
+    })
+    .filter(Boolean);
+
+  return {
+    added: afterItems.filter(item => !beforeItems.some(entry => entry.id === item.id)).map(summarize),
+    removed: beforeItems.filter(item => !afterItems.some(entry => entry.id === item.id)).map(summarize),
+    changed
+  };
+}
+
+/**
+ * Get each dish's status (safe, canBeModified or filtered) for a reference profile
+ * Every item is considered regardless of availability windows
+ * @returns {Object} { itemId: status }
+ */
+function getDishStatuses(menu, profile) {
+  const results = filterByDietaryAndAllergies(
+    profile.dietaryPreferences || [],
+    profile.avoidAllergens || [],
+    profile.avoidIngredientFlags || [],
+    profile.crossContactOk === true,
+    profile.tolerateFlags || [],
+    profile.allergenSeverities || {},
+    { menu, ignoreAvailability: true }
+  );
+
+  const statuses = {};
+  ['safe', 'canBeModified', 'filtered'].forEach(status => {
+    results[status].forEach(item => {
+      statuses[item.id] = status;
+    });
+  });
+  return statuses;
+}
+
+/**
+ * Find the dishes that moved between statuses for each reference profile
+ * @param {Object} before - Menu data before the change
+ * @param {Object} after - Menu data after the change
+ * @param {Array<Object>} profiles - Reference profiles { name, dietaryPreferences, avoidAllergens, avoidIngredientFlags, tolerateFlags, allergenSeverities, crossContactOk }
+ * @returns {Array<Object>} [{ profile: "Sesame allergy", moves: [{ id, name, from: "safe", to: "filtered" }] }]
+ */
+function diffProfileResults(before, after, profiles) {
+  const names = {};
+  [...(before.items || []), ...(after.items || [])].forEach(item => {
+    names[item.id] = item.name;
+  });
+
+  return profiles.map(profile => {
+    const beforeStatuses = getDishStatuses(before, profile);
+    const afterStatuses = getDishStatuses(after, profile);
+
+    const moves = Object.keys(names)
+      .map(id => ({
+        id,
+        name: names[id],
+        from: beforeStatuses[id] || ABSENT,
+        to: afterStatuses[id] || ABSENT
+      }))
+      .filter(move => move.from !== move.to);
+
+    return { profile: profile.name, moves };
+  });
+}
+
+/**
+ * Build the full impact report for a menu change
+ * @returns {Object} { changes, profiles }
+ */
+function buildImpactReport(before, after, profiles) {
+  return {
+    changes: diffMenus(before, after),
+    profiles: diffProfileResults(before, after, profiles)
+  };
+}
+
+/**
+ * Format a term diff as "+sesame -gluten"
+ */
+function formatTerms(diff) {
+  return [...diff.added.map(term => `+${term}`), ...diff.removed.map(term => `-${term}`)].join(' ');
+}
+
+/**
+ * Format an impact report as text for menu change review
+ * @returns {string}
+ */
+function formatImpactReport(report) {
+  const lines = [];
+  const { changes } = report;
+
+  lines.push('Menu changes');
+  changes.added.forEach(item => lines.push(`  + [${item.id}] ${item.name}`));
+  changes.removed.forEach(item => lines.push(`  - [${item.id}] ${item.name}`));
+  changes.changed.forEach(item => {
+    lines.push(`  ~ [${item.id}] ${item.name}`);
+    item.components.forEach(component => {
+      const details = [
+        hasTermChanges(component.allergens) ? `allergens ${formatTerms(component.allergens)}` : '',
+        hasTermChanges(component.flags) ? `flags ${formatTerms(component.flags)}` : '',
+        hasTermChanges(component.crossContact) ? `cross-contact risk ${formatTerms(component.crossContact)}` : ''
+      ].filter(Boolean).join(', ');
+      const part = component.substituteFor
+        ? `substitute "${component.name}" (for "${component.substituteFor}")`
+        : `component "${component.name}"`;
+      lines.push(`      ${component.change} ${part}${details ? `: ${details}` : ''}`);
+    });
+    if (hasTermChanges(item.crossContact)) {
+      lines.push(`      cross-contact risk ${formatTerms(item.crossContact)}`);
+    }
+  });
+  if (changes.added.length + changes.removed.length + changes.changed.length === 0) {
+    lines.push('  (no allergen-relevant changes)');
+  }
+
+  lines.push('');
+  lines.push('Reference profile impact');
+  report.profiles.forEach(entry => {
+    if (entry.moves.length === 0) {
+      lines.push(`  ${entry.profile}: no change`);
+      return;
+    }
+    lines.push(`  ${entry.profile}:`);
+    entry.moves.forEach(move => lines.push(`      [${move.id}] ${move.name}: ${move.from} -> ${move.to}`));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Read and parse a JSON file, exiting with code 2 when it can't be read
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read ${filePath}: ${error.message}`);
+    process.exit(2);
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const profilesIndex = args.indexOf('--profiles');
+  const profilesPath = profilesIndex === -1 ? DEFAULT_PROFILES_PATH : args[profilesIndex + 1];
+  const paths = profilesIndex === -1 ? args : args.filter((arg, index) => index !== profilesIndex && index !== profilesIndex + 1);
+
+  if (paths.length === 0 || !profilesPath) {
+    console.error('Usage: node menu-diff <before.json> [after.json] [--profiles reference-profiles.json]');
+    process.exit(2);
+  }
+
+  const before = readJson(path.resolve(paths[0]));
+  const after = readJson(path.resolve(paths[1] || path.join(__dirname, 'menu.json')));
+  const profiles = readJson(path.resolve(profilesPath));
+
+  process.stdout.write(formatImpactReport(buildImpactReport(before, after, profiles)));
+}
+
+module.exports = {
+  DEFAULT_PROFILES_PATH,
+  diffMenus,
+  diffProfileResults,
+  buildImpactReport,
+  formatImpactReport
+};
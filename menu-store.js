@@ -0,0 +1,131 @@
+// Menu data store for HORP Bot
+// Loads named menus, reloads them when their files change, and persists edits atomically
+// The default menu lives in menu.json; additional menus (lunch, seasonal, per-location)
+// live in menus/<menuId>.json
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./shared-utils');
+
+const DEFAULT_MENU_ID = 'main';
+const DEFAULT_MENU_PATH = path.join(__dirname, 'menu.json');
+const MENUS_DIR = path.join(__dirname, 'menus');
+
+// Menu ids double as file names, so keep them to safe characters
+const MENU_ID_PATTERN = /^[a-z0-9_-]+$/i;
+
+// { menuId: { menu, version, mtimeMs } }
+const cache = {};
+
+/**
+ * Get the file path for a menu id
+ * @param {string} menuId - e.g., "lunch"
+ * @returns {string}
+ */
+function getMenuPath(menuId = DEFAULT_MENU_ID) {
+  if (menuId === DEFAULT_MENU_ID) return DEFAULT_MENU_PATH;
+  if (!MENU_ID_PATTERN.test(menuId)) {
+    throw new Error(`Invalid menu id "${menuId}"`);
+  }
+  return path.join(MENUS_DIR, `${menuId}.json`);
+}
+
+/**
+ * List the ids of every available menu, default first
+ * @returns {Array<string>} e.g., ["main", "lunch"]
+ */
+function listMenus() {
+  const extraMenus = fs.existsSync(MENUS_DIR)
+    ? fs.readdirSync(MENUS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(menuId => MENU_ID_PATTERN.test(menuId) && menuId !== DEFAULT_MENU_ID)
+      .sort()
+    : [];
+
+  return [DEFAULT_MENU_ID, ...extraMenus];
+}
+
+/**
+ * Check if a menu exists
+ */
+function hasMenu(menuId) {
+  return typeof menuId === 'string' && listMenus().includes(menuId);
+}
+
+/**
+ * Hash menu file contents into a version id
+ * @returns {string} First 16 hex characters of the SHA-256
+ */
+function hashMenuContents(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex').slice(0, 16);
+}
+
+/**
+ * Load a menu into the cache, re-reading the file when it has changed on disk since the last load
+ * @returns {Object} Cache entry { menu, version, mtimeMs }
+ */
+function loadMenu(menuId) {
+  const menuPath = getMenuPath(menuId);
+  const { mtimeMs } = fs.statSync(menuPath);
+  const cached = cache[menuId];
+
+  if (!cached || mtimeMs !== cached.mtimeMs) {
+    const contents = fs.readFileSync(menuPath, 'utf8');
+    cache[menuId] = { menu: JSON.parse(contents), version: hashMenuContents(contents), mtimeMs };
+  }
+
+  return cache[menuId];
+}
+
+/**
+ * Get a menu's data
+ * @param {string} menuId - Menu id (default: "main", i.e. menu.json)
+ * @returns {Object} Parsed menu data
+ */
+function getMenu(menuId = DEFAULT_MENU_ID) {
+  return loadMenu(menuId).menu;
+}
+
+/**
+ * Get a menu's version: a hash of its file contents, so any edit yields a new version
+ * @param {string} menuId - Menu id (default: "main")
+ * @returns {string} e.g., "3f9a0c1d2b4e5f60"
+ */
+function getMenuVersion(menuId = DEFAULT_MENU_ID) {
+  return loadMenu(menuId).version;
+}
+
+/**
+ * Get a menu's data together with its version from a single load, so the version always
+ * describes exactly the data returned even if the file changes in between
+ * @param {string} menuId - Menu id (default: "main")
+ * @returns {Object} { menu, version }
+ */
+function getMenuSnapshot(menuId = DEFAULT_MENU_ID) {
+  const { menu, version } = loadMenu(menuId);
+  return { menu, version };
+}
+
+/**
+ * Persist menu data atomically and make it live immediately
+ * @param {Object} menu - Full menu data to save
+ * @param {string} menuId - Menu id (default: "main")
+ */
+function saveMenu(menu, menuId = DEFAULT_MENU_ID) {
+  const menuPath = getMenuPath(menuId);
+  const contents = writeJsonAtomic(menuPath, menu);
+
+  cache[menuId] = { menu, version: hashMenuContents(contents), mtimeMs: fs.statSync(menuPath).mtimeMs };
+}
+
+module.exports = {
+  DEFAULT_MENU_ID,
+  listMenus,
+  hasMenu,
+  getMenu,
+  getMenuVersion,
+  getMenuSnapshot,
+  saveMenu
+};
@@ -0,0 +1,153 @@
+// Menu item schema validation for HORP Bot
+// Checks items against the structure and vocabularies defined in menu.json
+
+const { validateAvailability } = require('./menu-availability');
+const { getPairingTags } = require('./meal-pairing');
+const { isStringArray, validateVocabList } = require('./shared-utils');
+
+const MODIFICATION_ACTIONS = ['remove', 'substitute'];
+
+/**
+ * Check that a value is a non-empty string
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validate a single component of a menu item (or a substitute component)
+ */
+function validateComponent(component, label, menu, errors) {
+  if (!component || typeof component !== 'object') {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+
+  if (!isNonEmptyString(component.name)) {
+    errors.push(`${label}.name is required`);
+  }
+
+  validateVocabList(component.contains_allergens, menu.allergen_vocab || [], `${label}.contains_allergens`, errors);
+  validateVocabList(component.contains_ingredient_flags, menu.ingredient_flags_vocab || [], `${label}.contains_ingredient_flags`, errors);
+  validateVocabList(component.cross_contact_risk, menu.allergen_vocab || [], `${label}.cross_contact_risk`, errors);
+
+  if (component.ingredients !== undefined) {
+    if (!isStringArray(component.ingredients)) {
+      errors.push(`${label}.ingredients must be an array of ingredient ids`);
+    } else {
+      component.ingredients
+        .filter(ingredientId => !(menu.ingredients || {})[ingredientId])
+        .forEach(ingredientId => errors.push(`${label}.ingredients references unknown ingredient "${ingredientId}"`));
+    }
+  }
+
+  if (component.notes !== undefined && typeof component.notes !== 'string') {
+    errors.push(`${label}.notes must be a string`);
+  }
+}
+
+/**
+ * Validate a single modification of a menu item
+ */
+function validateModification(modification, index, componentNames, menu, errors) {
+  const label = `modifications[${index}]`;
+
+  if (!modification || typeof modification !== 'object') {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+
+  if (!modification.when || typeof modification.when !== 'object') {
+    errors.push(`${label}.when is required`);
+  } else {
+    validateVocabList(modification.when.avoid_allergens, menu.allergen_vocab || [], `${label}.when.avoid_allergens`, errors);
+    validateVocabList(modification.when.avoid_ingredient_flags, menu.ingredient_flags_vocab || [], `${label}.when.avoid_ingredient_flags`, errors);
+  }
+
+  if (!MODIFICATION_ACTIONS.includes(modification.action)) {
+    errors.push(`${label}.action must be one of: ${MODIFICATION_ACTIONS.join(', ')}`);
+  }
+
+  if (!isNonEmptyString(modification.target_component)) {
+    errors.push(`${label}.target_component is required`);
+  } else if (!componentNames.includes(modification.target_component)) {
+    errors.push(`${label}.target_component "${modification.target_component}" does not match any component`);
+  }
+
+  if (modification.action === 'substitute') {
+    const substitute = modification.substitute_with;
+    if (!substitute || typeof substitute !== 'object' || Array.isArray(substitute)) {
+      errors.push(`${label}.substitute_with must be a component with its own allergen data`);
+    } else {
+      validateComponent(substitute, `${label}.substitute_with`, menu, errors);
+      if (!Array.isArray(substitute.contains_allergens) && !Array.isArray(substitute.ingredients)) {
+        errors.push(`${label}.substitute_with needs contains_allergens or library ingredients`);
+      }
+    }
+  }
+
+  if (modification.notes !== undefined && typeof modification.notes !== 'string') {
+    errors.push(`${label}.notes must be a string`);
+  }
+}
+
+/**
+ * Validate a menu item against the menu.json schema and vocabularies
+ * @param {Object} item - Menu item to validate
+ * @param {Object} menu - Menu data providing allergen_vocab and ingredient_flags_vocab
+ * @returns {Array<string>} Validation errors (empty when the item is valid)
+ */
+function validateMenuItem(item, menu) {
+  const errors = [];
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['item must be an object'];
+  }
+
+  if (!isNonEmptyString(item.id)) errors.push('id is required');
+  if (!isNonEmptyString(item.name)) errors.push('name is required');
+  if (!isNonEmptyString(item.category)) errors.push('category is required');
+
+  if (!Array.isArray(item.components) || item.components.length === 0) {
+    errors.push('components must be a non-empty array');
+  }
+
+  const components = Array.isArray(item.components) ? item.components : [];
+  components.forEach((component, index) => validateComponent(component, `components[${index}]`, menu, errors));
+
+  const componentNames = components
+    .filter(component => component && isNonEmptyString(component.name))
+    .map(component => component.name);
+
+  componentNames
+    .filter((name, index) => componentNames.indexOf(name) !== index)
+    .forEach(name => errors.push(`component name "${name}" is duplicated`));
+
+  validateVocabList(item.cross_contact_risk, menu.allergen_vocab || [], 'cross_contact_risk', errors);
+
+  if (item.modifications !== undefined) {
+    if (!Array.isArray(item.modifications)) {
+      errors.push('modifications must be an array');
+    } else {
+      item.modifications.forEach((modification, index) =>
+        validateModification(modification, index, componentNames, menu, errors)
+      );
+    }
+  }
+
+  if (item.tags !== undefined && !isStringArray(item.tags)) {
+    errors.push('tags must be an array of strings');
+  }
+
+  validateVocabList(item.pairing_tags, getPairingTags(menu), 'pairing_tags', errors);
+
+  if (item.availability !== undefined) {
+    errors.push(...validateAvailability(item.availability, menu));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateMenuItem
+};
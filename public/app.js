@@ -0,0 +1,1538 @@
+// State management
+const state = {
+  step: 0,
+  returningGuest: null,
+  savedProfile: null, // Saved profile picked during lookup
+  freeText: '', // New guest's restrictions in their own words
+  parsedProfile: null, // Profile parsed from freeText, shown back for confirmation
+  profileConfirmed: null, // true: use the saved or parsed profile as is, false: edit it
+  lookupQuery: '',
+  lookupResults: null, // null until a lookup has been run
+  saveProfile: null,
+  profileDetails: { name: '', phone: '', reservationId: '' },
+  dietaryPreferences: [],
+  avoidAllergens: [],
+  avoidIngredientFlags: [], // Includes 'none' once the guest says they avoid nothing
+  tolerateFlags: [],
+  crossContactOk: null,
+  tolerance_answers: {}, // { allergen: true/false }
+  allergenSeverities: {}, // { allergen: 'preference' | 'intolerance' | 'allergy' | 'anaphylaxis' }
+  addAnotherGuest: null,
+  guests: [], // Completed guest profiles for this table
+  guestIndex: 0, // Guest whose answers are being asked or edited
+  optionQuery: '' // Search text for a searchable step's options
+};
+
+// Per-guest answers kept when another guest's answer is reopened, restored when the guest is picked up again
+const GUEST_FIELDS = [
+  'step', 'returningGuest', 'savedProfile', 'freeText', 'parsedProfile', 'profileConfirmed',
+  'lookupQuery', 'lookupResults', 'saveProfile', 'profileDetails', 'dietaryPreferences', 'avoidAllergens',
+  'avoidIngredientFlags', 'tolerateFlags', 'crossContactOk', 'tolerance_answers', 'allergenSeverities',
+  'addAnotherGuest'
+];
+
+// Chat history: one thread per guest so a reopened step's later bubbles can be replaced,
+// and a results thread (kept last) that is refreshed every time the table is run
+const guestThreads = [];
+const guestSnapshots = [];
+let parkedGuest = null; // Answers of the guest in progress while a completed guest is edited
+let askedSteps = []; // [{ guestIndex, stepIndex, node }] question bubbles in the chat
+let resultsThread = null;
+
+let previewRequest = 0; // Latest preview, so a slower earlier response can't overwrite it
+
+// Allergen to tolerance mapping, loaded from the menu's tolerance table
+// e.g., { gluten: { question: 'Gluten allergy: can they have soy sauce?', flag: 'soy_sauce' } }
+let allergyToleranceMap = {};
+
+// Diets from the menu's dietary rules, e.g., [{ id: 'halal', label: 'Halal', notes: '...' }]
+let dietCatalog = [];
+
+// Allergens from the menu's taxonomy, e.g., [{ id: 'tree_nut', label: 'Tree nut', parent: null, children: [...] }]
+let allergenCatalog = [];
+
+// Ingredient flags from the menu's vocab, e.g., [{ id: 'soy_sauce', label: 'Soy sauce', allergens: ['gluten'] }]
+let flagCatalog = [];
+
+// Base conversation steps
+const baseSteps = [
+  { id: 'dietary', question: 'Any dietary restrictions?', options: ['Vegetarian', 'Vegan', 'None'], mode: 'multi' }, // Options filled from the menu's diets
+  // Options filled from the menu's vocab; only featured and selected options show until the guest searches
+  { id: 'allergies', question: 'Any allergies?', options: ['None'], featured: ['None'], mode: 'multi', searchable: true },
+  { id: 'avoidFlags', question: 'Any dislikes or ingredients to avoid?', options: ['None'], mode: 'multi' },
+  { id: 'crossContact', question: 'Cross-contact OK?', options: ['Yes', 'No'], mode: 'single' }
+];
+
+// Severity tiers asked for each selected allergy
+const severityOptions = ['Preference', 'Intolerance', 'Allergy', 'Anaphylaxis'];
+
+// Asked after each guest's questions are complete
+const addGuestStep = { id: 'addGuest', question: 'Add another guest at this table?', options: ['Yes', 'No'], mode: 'single' };
+
+// Saved profile steps: asked first for each guest, and before moving to the next guest
+const returningStep = { id: 'returning', question: 'Returning guest?', options: ['Yes', 'No'], mode: 'single' };
+const lookupStep = { id: 'lookup', question: 'Look up their saved profile by name, phone or reservation ID', options: [], mode: 'lookup' };
+const describeStep = {
+  id: 'describe',
+  question: 'Describe their restrictions in their own words (e.g., "no nuts, soy sauce is fine"), or press Next to answer the questions',
+  options: [],
+  mode: 'text'
+};
+const profileDetailsStep = { id: 'profileDetails', question: 'Save the profile under which name, phone and reservation ID?', options: [], mode: 'form' };
+
+/**
+ * Load the tolerance table from the server into allergyToleranceMap
+ */
+function loadToleranceTable() {
+  return fetch('/api/tolerances')
+    .then(res => res.json())
+    .then(table => {
+      allergyToleranceMap = {};
+      table.forEach(entry => {
+        allergyToleranceMap[entry.allergen] = { question: entry.question, flag: entry.flag };
+      });
+    });
+}
+
+/**
+ * Load the menu's diets, allergens and ingredient flags and build the dietary, allergy and dislike options
+ * Every allergen can be picked; top-level allergens (which cover their children) are shown before searching
+ */
+function loadVocab() {
+  return fetch('/api/vocab')
+    .then(res => res.json())
+    .then(vocab => {
+      dietCatalog = vocab.diets;
+      allergenCatalog = vocab.allergens;
+      flagCatalog = vocab.ingredientFlags;
+
+      const dietaryStep = baseSteps.find(step => step.id === 'dietary');
+      dietaryStep.options = dietCatalog.map(diet => diet.label).concat(['None']);
+
+      const allergyStep = baseSteps.find(step => step.id === 'allergies');
+      allergyStep.options = allergenCatalog.map(allergen => allergen.label).concat(['None']);
+      allergyStep.featured = allergenCatalog
+        .filter(allergen => !allergen.parent)
+        .map(allergen => allergen.label)
+        .concat(['None']);
+
+      const flagStep = baseSteps.find(step => step.id === 'avoidFlags');
+      flagStep.options = flagCatalog.map(flag => flag.label).concat(['None']);
+    });
+}
+
+/**
+ * Get the display label for an allergen id
+ */
+function allergenLabel(allergenId) {
+  const allergen = allergenCatalog.find(entry => entry.id === allergenId);
+  return allergen ? allergen.label : capitalize(allergenId);
+}
+
+/**
+ * Get the display label for a diet id
+ */
+function dietLabel(dietId) {
+  const diet = dietCatalog.find(entry => entry.id === dietId);
+  return diet ? diet.label : capitalize(dietId.replace(/_/g, ' '));
+}
+
+/**
+ * Get the display label for an ingredient flag id
+ */
+function flagLabel(flagId) {
+  const flag = flagCatalog.find(entry => entry.id === flagId);
+  return flag ? flag.label : capitalize(flagId.replace(/_/g, ' '));
+}
+
+/**
+ * Map an option label to the value stored in state
+ * Dietary, allergy and dislike options map back to ids (e.g., 'Kosher-style' → 'kosher_style', 'Tree nut' → 'tree_nut')
+ */
+function optionValue(option, step) {
+  if (step.id === 'dietary' && option !== 'None') {
+    const diet = dietCatalog.find(entry => entry.label === option);
+    if (diet) return diet.id;
+  }
+  if (step.id === 'allergies' && option !== 'None') {
+    const allergen = allergenCatalog.find(entry => entry.label === option);
+    if (allergen) return allergen.id;
+  }
+  if (step.id === 'avoidFlags' && option !== 'None') {
+    const flag = flagCatalog.find(entry => entry.label === option);
+    if (flag) return flag.id;
+  }
+  return option.toLowerCase();
+}
+
+/**
+ * Get the options to show for a step
+ * Searchable steps show their featured and selected options, or every option matching the search
+ */
+function getVisibleOptions(step, options) {
+  if (!step || !step.searchable) return options;
+
+  const query = state.optionQuery.trim().toLowerCase();
+  if (query.length === 0) {
+    return options.filter(option => step.featured.includes(option) || isOptionSelected(option));
+  }
+  return options.filter(option =>
+    option.toLowerCase().includes(query) || optionValue(option, step).replace(/_/g, ' ').includes(query)
+  );
+}
+
+/**
+ * Build the follow-up steps that depend on the selected allergies:
+ * a severity question per allergy, then tolerance questions (skipped for anaphylaxis)
+ */
+function getFollowUpSteps() {
+  const selectedAllergies = state.avoidAllergens
+    .filter(a => a !== 'none')
+    .map(a => a.toLowerCase());
+
+  const severitySteps = selectedAllergies.map(allergen => ({
+    id: `severity_${allergen}`,
+    question: allergenLabel(allergen) + ': how severe is it?',
+    options: severityOptions,
+    mode: 'single',
+    allergen: allergen
+  }));
+
+  const toleranceSteps = selectedAllergies
+    .filter(a => allergyToleranceMap[a])
+    .filter(a => state.allergenSeverities[a] !== 'anaphylaxis')
+    .filter(a => !hasSavedToleranceAnswer(a))
+    .map(allergen => {
+      const config = allergyToleranceMap[allergen];
+      return {
+        id: `tolerance_${allergen}`,
+        question: config.question,
+        options: ['Yes', 'No'],
+        mode: 'single',
+        allergen: allergen,
+        flag: config.flag
+      };
+    });
+
+  return [...severitySteps, ...toleranceSteps];
+}
+
+/**
+ * Check if a tolerance question was already answered in the guest's saved profile
+ */
+function hasSavedToleranceAnswer(allergen) {
+  return state.savedProfile !== null &&
+    state.savedProfile.tolerance_answers.hasOwnProperty(allergen) &&
+    state.tolerance_answers.hasOwnProperty(allergen);
+}
+
+/**
+ * Build the confirm step for a saved profile found during lookup, or for a parsed description
+ */
+function getConfirmProfileStep() {
+  if (state.savedProfile) {
+    return {
+      id: 'confirmProfile',
+      question: 'Saved profile for ' + state.savedProfile.name + ': ' + describeProfile(state.savedProfile) + '. Use it as is?',
+      options: ['Confirm', 'Edit'],
+      mode: 'single'
+    };
+  }
+
+  const unrecognized = state.parsedProfile.unrecognized;
+  const notUnderstood = unrecognized.length > 0
+    ? '. Not understood: "' + unrecognized.join('", "') + '"'
+    : '';
+  const negated = state.parsedProfile.negated || [];
+  const notAvoided = negated.length > 0
+    ? '. Not avoided: "' + negated.join('", "') + '"'
+    : '';
+
+  return {
+    id: 'confirmProfile',
+    question: 'I understood: ' + describeProfile(state.parsedProfile) + notAvoided + notUnderstood + '. Is that right?',
+    options: ['Confirm', 'Edit'],
+    mode: 'single'
+  };
+}
+
+/**
+ * Build the save step: offer to save a new guest, or to update a saved profile that was edited
+ */
+function getSaveProfileStep() {
+  const question = state.savedProfile
+    ? 'Update ' + state.savedProfile.name + '\'s saved profile with these answers?'
+    : 'Save this guest\'s profile for their next visit?';
+  return { id: 'saveProfile', question, options: ['Yes', 'No'], mode: 'single' };
+}
+
+/**
+ * Build the full step list for the current guest
+ * A confirmed saved profile skips the questions; an edited one asks them pre-filled
+ */
+function getSteps() {
+  const steps = [returningStep];
+
+  if (state.returningGuest) {
+    steps.push(lookupStep);
+    if (state.savedProfile) steps.push(getConfirmProfileStep());
+  } else if (state.returningGuest === false) {
+    steps.push(describeStep);
+    if (state.parsedProfile) steps.push(getConfirmProfileStep());
+  }
+
+  if (!state.profileConfirmed) {
+    steps.push(...baseSteps, ...getFollowUpSteps());
+  }
+
+  if (!(state.savedProfile && state.profileConfirmed)) {
+    steps.push(getSaveProfileStep());
+    if (state.saveProfile && !state.savedProfile) steps.push(profileDetailsStep);
+  }
+
+  steps.push(addGuestStep);
+  return steps;
+}
+
+/**
+ * Get the current step based on progress
+ */
+function getCurrentStep() {
+  return getSteps()[state.step] || null; // null once the conversation is complete
+}
+
+/**
+ * Calculate total steps including conditional severity and tolerance steps
+ */
+function getTotalSteps() {
+  return getSteps().length;
+}
+
+/**
+ * Check if current step is valid (has required selections)
+ */
+function isStepValid(step) {
+  if (!step) return false;
+
+  if (step.id === 'returning') {
+    return state.returningGuest !== null;
+  }
+  if (step.id === 'lookup') {
+    return state.savedProfile !== null;
+  }
+  if (step.id === 'describe') {
+    return state.freeText.trim().length === 0 || state.parsedProfile !== null; // Blank skips to the questions
+  }
+  if (step.id === 'confirmProfile') {
+    return state.profileConfirmed !== null;
+  }
+  if (step.id === 'dietary') {
+    return state.dietaryPreferences.length > 0;
+  }
+  if (step.id === 'allergies') {
+    return state.avoidAllergens.length > 0;
+  }
+  if (step.id === 'avoidFlags') {
+    return state.avoidIngredientFlags.length > 0;
+  }
+  if (step.id === 'crossContact') {
+    return state.crossContactOk !== null;
+  }
+  if (step.id.startsWith('severity_')) {
+    return state.allergenSeverities.hasOwnProperty(step.allergen);
+  }
+  if (step.id.startsWith('tolerance_')) {
+    return state.tolerance_answers.hasOwnProperty(step.allergen);
+  }
+  if (step.id === 'saveProfile') {
+    return state.saveProfile !== null;
+  }
+  if (step.id === 'profileDetails') {
+    return state.profileDetails.name.trim().length > 0;
+  }
+  if (step.id === 'addGuest') {
+    return state.addAnotherGuest !== null;
+  }
+
+  return false;
+}
+
+/**
+ * Check if an option is currently selected
+ */
+function isOptionSelected(option) {
+  const step = getCurrentStep();
+  if (!step) return false;
+
+  const lowerOption = optionValue(option, step);
+
+  if (step.id === 'returning') {
+    if (option === 'Yes') return state.returningGuest === true;
+    if (option === 'No') return state.returningGuest === false;
+  }
+  if (step.id === 'confirmProfile') {
+    if (option === 'Confirm') return state.profileConfirmed === true;
+    if (option === 'Edit') return state.profileConfirmed === false;
+  }
+  if (step.id === 'saveProfile') {
+    if (option === 'Yes') return state.saveProfile === true;
+    if (option === 'No') return state.saveProfile === false;
+  }
+  if (step.id === 'dietary') {
+    return state.dietaryPreferences.includes(lowerOption);
+  }
+  if (step.id === 'allergies') {
+    return state.avoidAllergens.includes(lowerOption);
+  }
+  if (step.id === 'avoidFlags') {
+    return state.avoidIngredientFlags.includes(lowerOption);
+  }
+  if (step.id === 'crossContact') {
+    if (option === 'Yes') return state.crossContactOk === true;
+    if (option === 'No') return state.crossContactOk === false;
+  }
+  if (step.id.startsWith('severity_')) {
+    return state.allergenSeverities[step.allergen] === lowerOption;
+  }
+  if (step.id.startsWith('tolerance_')) {
+    const answered = state.tolerance_answers[step.allergen];
+    if (option === 'Yes') return answered === true;
+    if (option === 'No') return answered === false;
+  }
+  if (step.id === 'addGuest') {
+    if (option === 'Yes') return state.addAnotherGuest === true;
+    if (option === 'No') return state.addAnotherGuest === false;
+  }
+
+  return false;
+}
+
+/**
+ * Handle multi-select option click
+ */
+function handleMultiSelect(option, step) {
+  const lowerOption = optionValue(option, step);
+
+  if (step.id === 'dietary') {
+    if (lowerOption === 'none') {
+      state.dietaryPreferences = ['none'];
+    } else if (state.dietaryPreferences.includes('none')) {
+      state.dietaryPreferences = [lowerOption];
+    } else {
+      const idx = state.dietaryPreferences.indexOf(lowerOption);
+      if (idx > -1) {
+        state.dietaryPreferences.splice(idx, 1);
+      } else {
+        state.dietaryPreferences.push(lowerOption);
+      }
+    }
+  }
+
+  if (step.id === 'allergies') {
+    const previousAllergies = [...state.avoidAllergens];
+    
+    if (lowerOption === 'none') {
+      state.avoidAllergens = ['none'];
+    } else if (state.avoidAllergens.includes('none')) {
+      state.avoidAllergens = [lowerOption];
+    } else {
+      const idx = state.avoidAllergens.indexOf(lowerOption);
+      if (idx > -1) {
+        state.avoidAllergens.splice(idx, 1);
+      } else {
+        state.avoidAllergens.push(lowerOption);
+      }
+    }
+
+    // Cleanup tolerance state for deselected allergies
+    const deselectedAllergies = previousAllergies.filter(a => 
+      a !== 'none' && !state.avoidAllergens.includes(a)
+    );
+    
+    deselectedAllergies.forEach(allergen => {
+      delete state.allergenSeverities[allergen];
+
+      const config = allergyToleranceMap[allergen];
+      if (config) {
+        const flag = config.flag;
+        
+        // Remove tolerance answer
+        delete state.tolerance_answers[allergen];
+        
+        // Remove flag from both arrays
+        const tolerateIdx = state.tolerateFlags.indexOf(flag);
+        if (tolerateIdx > -1) {
+          state.tolerateFlags.splice(tolerateIdx, 1);
+        }
+        
+        const avoidIdx = state.avoidIngredientFlags.indexOf(flag);
+        if (avoidIdx > -1) {
+          state.avoidIngredientFlags.splice(avoidIdx, 1);
+        }
+      }
+    });
+  }
+
+  if (step.id === 'avoidFlags') {
+    if (lowerOption === 'none') {
+      // Keep flags avoided because of a tolerance answer; only the guest's own dislikes are cleared
+      state.avoidIngredientFlags = state.avoidIngredientFlags.filter(flag => isToleranceFlag(flag)).concat(['none']);
+    } else {
+      state.avoidIngredientFlags = state.avoidIngredientFlags.filter(flag => flag !== 'none');
+      const idx = state.avoidIngredientFlags.indexOf(lowerOption);
+      if (idx > -1) {
+        state.avoidIngredientFlags.splice(idx, 1);
+      } else {
+        state.avoidIngredientFlags.push(lowerOption);
+        // Avoiding wins over tolerating the same flag
+        state.tolerateFlags = state.tolerateFlags.filter(flag => flag !== lowerOption);
+      }
+    }
+  }
+}
+
+/**
+ * Check if a flag is avoided because the guest answered No to a tolerance question
+ */
+function isToleranceFlag(flag) {
+  return Object.keys(state.tolerance_answers).some(allergen =>
+    state.tolerance_answers[allergen] === false && allergyToleranceMap[allergen] && allergyToleranceMap[allergen].flag === flag
+  );
+}
+
+/**
+ * Handle single-select option click
+ */
+function handleSingleSelect(option, step) {
+  if (step.id === 'returning') {
+    const returningGuest = option === 'Yes';
+    if (returningGuest !== state.returningGuest && (state.savedProfile || state.parsedProfile)) {
+      clearGuestAnswers(); // Drop the answers pre-filled from a saved or parsed profile
+    }
+    state.returningGuest = returningGuest;
+  }
+
+  if (step.id === 'confirmProfile') {
+    state.profileConfirmed = option === 'Confirm';
+  }
+
+  if (step.id === 'saveProfile') {
+    state.saveProfile = option === 'Yes';
+  }
+
+  if (step.id === 'crossContact') {
+    state.crossContactOk = option === 'Yes';
+  }
+
+  if (step.id === 'addGuest') {
+    state.addAnotherGuest = option === 'Yes';
+  }
+
+  if (step.id.startsWith('severity_')) {
+    state.allergenSeverities[step.allergen] = option.toLowerCase();
+  }
+
+  if (step.id.startsWith('tolerance_')) {
+    const allergen = step.allergen;
+    const flag = step.flag;
+    state.tolerance_answers[allergen] = option === 'Yes';
+
+    if (option === 'Yes') {
+      if (!state.tolerateFlags.includes(flag)) {
+        state.tolerateFlags.push(flag);
+      }
+      // Remove from avoidIngredientFlags to avoid contradiction
+      const avoidIdx = state.avoidIngredientFlags.indexOf(flag);
+      if (avoidIdx > -1) {
+        state.avoidIngredientFlags.splice(avoidIdx, 1);
+      }
+    } else {
+      if (!state.avoidIngredientFlags.includes(flag)) {
+        state.avoidIngredientFlags.push(flag);
+      }
+      // Remove from tolerateFlags to avoid contradiction
+      const tolerateIdx = state.tolerateFlags.indexOf(flag);
+      if (tolerateIdx > -1) {
+        state.tolerateFlags.splice(tolerateIdx, 1);
+      }
+    }
+  }
+}
+
+/**
+ * Handle option button click
+ */
+function handleOptionClick(option) {
+  const step = getCurrentStep();
+  if (!step) return;
+
+  if (step.mode === 'multi') {
+    handleMultiSelect(option, step);
+  } else {
+    handleSingleSelect(option, step);
+  }
+
+  updateNextButton();
+  updatePreview();
+}
+
+/**
+ * Show how many dishes the current guest's answers leave safe, modifiable and filtered
+ * Only counts: the full result still comes from submitProfile
+ */
+function updatePreview() {
+  const request = ++previewRequest;
+  const previewDiv = document.getElementById('preview');
+
+  fetch('/api/preview', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildGuestProfile())
+  })
+    .then(res => res.json().then(data => {
+      if (!res.ok) throw new Error(data.error);
+      if (request !== previewRequest) return;
+
+      const counts = data.guests[0];
+      previewDiv.textContent = 'So far: ' + counts.safe + ' safe, ' + counts.canBeModified + ' modifiable, '
+        + counts.filtered + ' filtered';
+    }))
+    .catch(err => {
+      if (request === previewRequest) previewDiv.textContent = 'Preview unavailable: ' + err.message;
+    });
+}
+
+/**
+ * Clear the dish counts (e.g., a new guest has nothing answered yet)
+ */
+function clearPreview() {
+  previewRequest++;
+  document.getElementById('preview').textContent = '';
+}
+
+/**
+ * Generate user-friendly summary of step selections
+ */
+function summarizeStep(step) {
+  if (step.id === 'returning') {
+    return state.returningGuest ? 'Returning guest' : 'New guest';
+  }
+
+  if (step.id === 'lookup') {
+    return 'Found ' + state.savedProfile.name;
+  }
+
+  if (step.id === 'describe') {
+    return state.parsedProfile ? '"' + state.freeText.trim() + '"' : 'Answer the questions';
+  }
+
+  if (step.id === 'confirmProfile') {
+    if (!state.savedProfile) {
+      return state.profileConfirmed ? 'That\'s right' : 'Edit answers';
+    }
+    return state.profileConfirmed ? 'Use saved profile' : 'Edit saved profile';
+  }
+
+  if (step.id === 'saveProfile') {
+    return state.saveProfile ? 'Save profile' : 'Don\'t save profile';
+  }
+
+  if (step.id === 'profileDetails') {
+    return 'Save as ' + state.profileDetails.name.trim();
+  }
+
+  if (step.id === 'dietary') {
+    if (state.dietaryPreferences.includes('none')) {
+      return 'No dietary restrictions';
+    }
+    return 'Dietary: ' + state.dietaryPreferences.map(d => dietLabel(d)).join(', ');
+  }
+
+  if (step.id === 'allergies') {
+    if (state.avoidAllergens.includes('none')) {
+      return 'No allergies';
+    }
+    return 'Allergies: ' + state.avoidAllergens.map(a => allergenLabel(a)).join(', ');
+  }
+
+  if (step.id === 'avoidFlags') {
+    if (state.avoidIngredientFlags.includes('none')) {
+      return 'No ingredients to avoid';
+    }
+    return 'Avoid: ' + state.avoidIngredientFlags.map(flag => flagLabel(flag)).join(', ');
+  }
+
+  if (step.id === 'crossContact') {
+    return 'Cross-contact: ' + (state.crossContactOk ? 'OK' : 'Not OK');
+  }
+
+  if (step.id.startsWith('severity_')) {
+    return allergenLabel(step.allergen) + ': ' + capitalize(state.allergenSeverities[step.allergen]);
+  }
+
+  if (step.id.startsWith('tolerance_')) {
+    const allergen = allergenLabel(step.allergen);
+    const answer = state.tolerance_answers[step.allergen] ? 'Yes' : 'No';
+    return allergen + ' tolerance: ' + answer;
+  }
+
+  if (step.id === 'addGuest') {
+    return state.addAnotherGuest ? 'Add another guest' : 'That\'s everyone';
+  }
+
+  return '';
+}
+
+/**
+ * Capitalize first letter
+ */
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * Describe a saved or parsed profile's restrictions for the confirm step
+ */
+function describeProfile(profile) {
+  const parts = [];
+
+  parts.push(profile.dietaryPreferences.length > 0
+    ? profile.dietaryPreferences.map(d => dietLabel(d)).join(', ')
+    : 'no dietary restrictions');
+
+  parts.push(profile.avoidAllergens.length > 0
+    ? 'allergies: ' + profile.avoidAllergens
+      .map(a => allergenLabel(a) + ' (' + (profile.allergenSeverities[a] || 'allergy') + ')')
+      .join(', ')
+    : 'no allergies');
+
+  parts.push('cross-contact ' + (profile.crossContactOk ? 'OK' : 'not OK'));
+
+  if (profile.avoidIngredientFlags.length > 0) {
+    parts.push('avoids ' + profile.avoidIngredientFlags.map(flag => flagLabel(flag).toLowerCase()).join(', '));
+  }
+
+  if (profile.tolerateFlags.length > 0) {
+    parts.push('tolerates ' + profile.tolerateFlags.map(flag => flagLabel(flag).toLowerCase()).join(', '));
+  }
+
+  return parts.join('; ');
+}
+
+/**
+ * Move to next step
+ */
+function goNext() {
+  const step = getCurrentStep();
+
+  if (!isStepValid(step)) {
+    return;
+  }
+
+  addAnswerMessage(step);
+
+  if ((step.id === 'saveProfile' && state.saveProfile && state.savedProfile) || step.id === 'profileDetails') {
+    saveGuestProfile();
+  }
+
+  if (step.id === 'addGuest') {
+    finishGuest();
+    return;
+  }
+
+  // Move to next step
+  state.step++;
+
+  if (isEditingGuest()) {
+    replayAnswers();
+  } else if (state.step >= getTotalSteps()) {
+    submitProfile();
+  } else {
+    askStep();
+  }
+}
+
+/**
+ * Move to previous step, removing its answer and everything after it from the chat
+ */
+function goBack() {
+  if (state.step === 0) return;
+
+  reopenStep(state.guestIndex, state.step - 1);
+}
+
+/**
+ * Ask the current step's question
+ * @param {string} prefix - Added before the question, e.g., "Guest 2: "
+ */
+function askStep(prefix = '') {
+  const step = getCurrentStep();
+
+  askedSteps.push({ guestIndex: state.guestIndex, stepIndex: state.step, node: addBotMessage(prefix + step.question) });
+  renderOptions(step.options, step.mode);
+  updateNextButton();
+}
+
+/**
+ * Add the user's answer to a step; clicking it reopens the step
+ */
+function addAnswerMessage(step) {
+  const guestIndex = state.guestIndex;
+  const stepIndex = state.step;
+  const message = addUserMessage(summarizeStep(step));
+
+  // Guests already added stay at the table; only a "no more guests" answer can change
+  if (step.id === 'addGuest' && state.addAnotherGuest) return;
+
+  message.classList.add('editable');
+  message.title = 'Change this answer';
+  message.addEventListener('click', () => reopenStep(guestIndex, stepIndex));
+}
+
+/**
+ * Whether the guest being answered already has a completed profile (one of their answers was reopened)
+ */
+function isEditingGuest() {
+  return state.guestIndex < state.guests.length;
+}
+
+/**
+ * Reopen an answered step so its answer can be changed
+ * The step's question is asked again with the previous answer selected, and later bubbles are removed
+ * @param {number} guestIndex - Guest the step belongs to
+ * @param {number} stepIndex - Step position in that guest's flow
+ */
+function reopenStep(guestIndex, stepIndex) {
+  if (guestIndex !== state.guestIndex) {
+    // Keep the current guest's answers: a new guest is parked, an edited one is updated as it stands
+    if (isEditingGuest()) {
+      state.guests[state.guestIndex] = buildGuestProfile();
+      guestSnapshots[state.guestIndex] = snapshotGuest();
+    } else {
+      parkedGuest = snapshotGuest();
+    }
+
+    if (guestIndex === state.guests.length) {
+      restoreGuest(parkedGuest);
+      parkedGuest = null;
+    } else {
+      restoreGuest(guestSnapshots[guestIndex]);
+    }
+    state.guestIndex = guestIndex;
+    updatePreview();
+  }
+
+  removeAskedSteps(guestIndex, stepIndex);
+  state.step = stepIndex;
+  askStep(guestIndex > 0 && stepIndex === 0 ? 'Guest ' + (guestIndex + 1) + ': ' : '');
+}
+
+/**
+ * Remove a guest's bubbles from a step onwards
+ */
+function removeAskedSteps(guestIndex, stepIndex) {
+  const removed = askedSteps.filter(entry => entry.guestIndex === guestIndex && entry.stepIndex >= stepIndex);
+  askedSteps = askedSteps.filter(entry => !removed.includes(entry));
+  if (removed.length === 0) return;
+
+  const thread = guestThreads[guestIndex];
+  const nodes = Array.from(thread.children);
+  nodes.slice(nodes.indexOf(removed[0].node)).forEach(node => thread.removeChild(node));
+}
+
+/**
+ * After an edited guest's answer changes, re-add the later answers that still stand
+ * Stops at the first step needing a new answer (e.g., the severity of a newly added allergy),
+ * or at a returning guest's saved profile so they can choose to update it
+ */
+function replayAnswers() {
+  let step = getCurrentStep();
+
+  while (isStepValid(step) && !(step.id === 'saveProfile' && state.saveProfile && state.savedProfile)) {
+    askedSteps.push({ guestIndex: state.guestIndex, stepIndex: state.step, node: addBotMessage(step.question) });
+    addAnswerMessage(step);
+
+    if (step.id === 'addGuest') {
+      finishGuest();
+      return;
+    }
+
+    state.step++;
+    step = getCurrentStep();
+  }
+
+  askStep();
+}
+
+/**
+ * Store the current guest's profile and move on: to the next guest, back to the guest in progress,
+ * or to the results (re-run when an answer was edited after they were shown)
+ */
+function finishGuest() {
+  state.guests[state.guestIndex] = buildGuestProfile();
+  guestSnapshots[state.guestIndex] = snapshotGuest();
+
+  if (parkedGuest) {
+    restoreGuest(parkedGuest);
+    parkedGuest = null;
+    state.guestIndex = state.guests.length;
+
+    const step = getCurrentStep();
+    renderOptions(step.options, step.mode);
+    updateNextButton();
+    updatePreview();
+  } else if (state.addAnotherGuest && state.guestIndex === state.guests.length - 1) {
+    startNextGuest();
+  } else {
+    submitProfile();
+  }
+}
+
+/**
+ * Copy the current guest's answers
+ */
+function snapshotGuest() {
+  const snapshot = {};
+  GUEST_FIELDS.forEach(field => {
+    snapshot[field] = JSON.parse(JSON.stringify(state[field]));
+  });
+  return snapshot;
+}
+
+/**
+ * Load a guest's answers from a snapshot
+ */
+function restoreGuest(snapshot) {
+  GUEST_FIELDS.forEach(field => {
+    state[field] = JSON.parse(JSON.stringify(snapshot[field]));
+  });
+}
+
+/**
+ * Update Next button disabled state
+ */
+function updateNextButton() {
+  const step = getCurrentStep();
+  const nextBtn = document.getElementById('nextBtn');
+
+  if (!step) {
+    nextBtn.disabled = true;
+    return;
+  }
+
+  nextBtn.disabled = !isStepValid(step);
+}
+
+/**
+ * Build the current guest's profile from state
+ */
+function buildGuestProfile() {
+  const guestNumber = state.guestIndex + 1;
+  const savedName = state.savedProfile ? state.savedProfile.name : state.profileDetails.name.trim();
+  return {
+    name: savedName || 'Guest ' + guestNumber,
+    seat: guestNumber,
+    dietaryPreferences: state.dietaryPreferences.filter(d => d !== 'none'),
+    avoidAllergens: state.avoidAllergens.filter(a => a !== 'none'),
+    avoidIngredientFlags: state.avoidIngredientFlags.filter(flag => flag !== 'none'),
+    tolerateFlags: [...state.tolerateFlags],
+    allergenSeverities: { ...state.allergenSeverities },
+    crossContactOk: state.crossContactOk
+  };
+}
+
+/**
+ * Reset the current guest's answers, including anything pre-filled from a saved profile
+ */
+function clearGuestAnswers() {
+  state.savedProfile = null;
+  state.freeText = '';
+  state.parsedProfile = null;
+  state.profileConfirmed = null;
+  state.lookupQuery = '';
+  state.lookupResults = null;
+  state.saveProfile = null;
+  state.profileDetails = { name: '', phone: '', reservationId: '' };
+  state.dietaryPreferences = [];
+  state.avoidAllergens = [];
+  state.avoidIngredientFlags = [];
+  state.tolerateFlags = [];
+  state.crossContactOk = null;
+  state.tolerance_answers = {};
+  state.allergenSeverities = {};
+}
+
+/**
+ * Reset per-guest answers and restart the question flow for the next guest
+ */
+function startNextGuest() {
+  state.guestIndex = state.guests.length;
+  state.step = 0;
+  state.returningGuest = null;
+  state.addAnotherGuest = null;
+  clearGuestAnswers();
+  clearPreview();
+  askStep('Guest ' + (state.guestIndex + 1) + ': ');
+}
+
+/**
+ * Pre-fill the current guest's answers from a saved or parsed profile
+ * Cross-contact stays not OK unless the profile says otherwise
+ */
+function applyProfileAnswers(profile) {
+  state.profileConfirmed = null;
+  state.dietaryPreferences = profile.dietaryPreferences.length > 0 ? [...profile.dietaryPreferences] : ['none'];
+  state.avoidAllergens = profile.avoidAllergens.length > 0 ? [...profile.avoidAllergens] : ['none'];
+  state.avoidIngredientFlags = profile.avoidIngredientFlags.length > 0 ? [...profile.avoidIngredientFlags] : ['none'];
+  state.tolerateFlags = [...profile.tolerateFlags];
+  state.crossContactOk = profile.crossContactOk === true;
+  state.tolerance_answers = { ...profile.tolerance_answers };
+  state.allergenSeverities = { ...profile.allergenSeverities };
+}
+
+/**
+ * Pre-fill the current guest's answers from a saved profile
+ * Tolerance answers are kept so their follow-up questions aren't asked again
+ */
+function applySavedProfile(profile) {
+  state.savedProfile = profile;
+  applyProfileAnswers(profile);
+}
+
+/**
+ * Parse the guest's own description into answers, then show it back for confirmation
+ */
+function parseFreeText() {
+  const text = state.freeText.trim();
+  if (text.length === 0) return;
+
+  fetch('/api/parse-profile', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text })
+  })
+    .then(res => res.json())
+    .then(profile => {
+      if (profile.error) throw new Error(profile.error);
+      state.parsedProfile = profile;
+      applyProfileAnswers(profile);
+      renderFreeText();
+      updateNextButton();
+    })
+    .catch(err => {
+      addBotMessage('Could not read that description: ' + err.message);
+    });
+}
+
+/**
+ * Search saved profiles by name, phone or reservation ID and show the matches
+ */
+function searchGuestProfiles(query) {
+  state.lookupQuery = query;
+  if (query.trim().length === 0) return;
+
+  fetch('/api/guest-profiles?q=' + encodeURIComponent(query.trim()))
+    .then(res => res.json())
+    .then(results => {
+      state.lookupResults = Array.isArray(results) ? results : [];
+      renderLookup();
+    })
+    .catch(err => {
+      addBotMessage('Profile lookup failed: ' + err.message);
+    });
+}
+
+/**
+ * No saved profile was found: continue as a new guest
+ */
+function continueAsNewGuest() {
+  addUserMessage('Not found, new guest');
+  clearGuestAnswers();
+  state.returningGuest = false;
+  askStep();
+}
+
+/**
+ * Save the current guest's answers: update the saved profile they came from, or create a new one
+ */
+function saveGuestProfile() {
+  const savedProfile = state.savedProfile;
+  const profile = {
+    name: savedProfile ? savedProfile.name : state.profileDetails.name.trim(),
+    phone: savedProfile ? savedProfile.phone : state.profileDetails.phone.trim(),
+    reservationIds: savedProfile
+      ? savedProfile.reservationIds
+      : [state.profileDetails.reservationId.trim()].filter(id => id.length > 0),
+    dietaryPreferences: state.dietaryPreferences.filter(d => d !== 'none'),
+    avoidAllergens: state.avoidAllergens.filter(a => a !== 'none'),
+    avoidIngredientFlags: state.avoidIngredientFlags.filter(flag => flag !== 'none'),
+    tolerateFlags: [...state.tolerateFlags],
+    allergenSeverities: { ...state.allergenSeverities },
+    crossContactOk: state.crossContactOk,
+    tolerance_answers: { ...state.tolerance_answers }
+  };
+
+  const url = savedProfile ? '/api/guest-profiles/' + encodeURIComponent(savedProfile.id) : '/api/guest-profiles';
+
+  fetch(url, {
+    method: savedProfile ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(profile)
+  })
+    .then(res => res.json().then(data => {
+      if (!res.ok) throw new Error((data.details || [data.error]).join(', '));
+      addBotMessage('Saved profile for ' + data.name);
+    }))
+    .catch(err => {
+      addBotMessage('Could not save profile: ' + err.message);
+    });
+}
+
+/**
+ * Submit all guest profiles for the table to the server
+ * Results replace any shown before, so an edited answer refreshes them in place
+ */
+function submitProfile() {
+  const tableProfile = {
+    guests: state.guests
+  };
+
+  resultsThread = resultsThread || createElement('div', 'thread');
+  resultsThread.replaceChildren();
+  document.getElementById('chat').appendChild(resultsThread);
+
+  addUserMessage('Show me safe menu items', resultsThread);
+  addBotMessage('Searching for safe menu items...', resultsThread);
+
+  fetch('/api/run', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(tableProfile)
+  })
+    .then(res => res.json().then(data => {
+      if (!res.ok) throw new Error(data.error);
+      displayResults(data);
+    }))
+    .catch(err => {
+      addBotMessage('Error: ' + err.message, resultsThread);
+    });
+}
+
+/**
+ * Format modifications array into readable string
+ */
+function formatModifications(modifications) {
+  if (!Array.isArray(modifications)) {
+    return '';
+  }
+
+  const modStrings = modifications.map(mod => {
+    let text;
+    if (mod.action === 'substitute' && mod.substitute_with) {
+      text = 'substitute ' + mod.target_component + ' with ' + mod.substitute_with.name;
+    } else if (mod.action && mod.target_component) {
+      text = mod.action + ' ' + mod.target_component;
+    } else if (mod.notes) {
+      text = mod.notes;
+    } else {
+      text = JSON.stringify(mod);
+    }
+
+    // Name the restrictions this mod takes care of
+    const fixes = [];
+    (mod.resolves || []).forEach(reason => {
+      reason.allergens.concat(reason.flags).forEach(term => {
+        if (!fixes.includes(term)) fixes.push(term);
+      });
+    });
+
+    return fixes.length > 0 ? text + ' → fixes ' + fixes.join(', ') : text;
+  });
+
+  return modStrings.join('; ');
+}
+
+/**
+ * Describe a reason for the results view
+ * Reasons a modification fixes are marked so servers know what the kitchen change covers
+ */
+function describeReason(reason) {
+  if (reason.type === 'tolerated') {
+    return reason.message + ' (tolerated)';
+  }
+  if (reason.resolvedByModification) {
+    return reason.message + ' (fixed by modification)';
+  }
+  return reason.message;
+}
+
+// Category order in the results view; other categories follow in the order they appear
+const categoryOrder = ['appetizer', 'entree', 'dessert'];
+
+// Status labels for dishes in the results view
+const statusLabels = {
+  safe: 'Safe',
+  canBeModified: 'Modify',
+  filtered: 'Not safe'
+};
+
+/**
+ * Create an element with an optional class name and text content
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Group a guest's dishes by menu category, keeping each dish's status
+ * @returns {Array<Object>} [{ category, dishes: [{ status, item }] }]
+ */
+function groupByCategory(guest) {
+  const groups = [];
+
+  ['safe', 'canBeModified', 'filtered'].forEach(status => {
+    (guest[status] || []).forEach(item => {
+      const category = item.category || 'other';
+      let group = groups.find(entry => entry.category === category);
+      if (!group) {
+        group = { category, dishes: [] };
+        groups.push(group);
+      }
+      group.dishes.push({ status, item });
+    });
+  });
+
+  const rank = category => {
+    const index = categoryOrder.indexOf(category);
+    return index === -1 ? categoryOrder.length : index;
+  };
+  return groups.sort((a, b) => rank(a.category) - rank(b.category));
+}
+
+/**
+ * Build one dish's entry in the results view: status, name, modifications and reasons
+ */
+function createDishEntry(status, item) {
+  const entry = createElement('li', 'result-dish');
+
+  const title = createElement('div', 'result-title');
+  title.appendChild(createElement('span', 'result-status result-' + status, statusLabels[status]));
+  title.appendChild(document.createTextNode(' ' + item.name));
+  entry.appendChild(title);
+
+  const details = createElement('ul', 'result-details');
+  if (status === 'canBeModified') {
+    const alternatives = (item.alternatives || []).length;
+    details.appendChild(createElement('li', 'result-modification',
+      formatModifications(item.modifications) + (alternatives > 0 ? ' — or ' + alternatives + ' other way(s)' : '')));
+  }
+  (item.tolerance_notes || []).forEach(note => details.appendChild(createElement('li', null, note)));
+  (item.reasons || []).forEach(reason => details.appendChild(createElement('li', null, describeReason(reason))));
+
+  if (details.children.length > 0) {
+    entry.appendChild(details);
+  }
+  return entry;
+}
+
+/**
+ * Build one suggested meal's entry: its dishes course by course, each with its status
+ */
+function createMealEntry(meal) {
+  const entry = createElement('li', 'result-dish');
+
+  meal.dishes.forEach((dish, index) => {
+    if (index > 0) entry.appendChild(document.createTextNode(' + '));
+    entry.appendChild(createElement('span', 'result-status result-' + dish.status, statusLabels[dish.status]));
+    entry.appendChild(document.createTextNode(' ' + dish.name));
+  });
+
+  return entry;
+}
+
+/**
+ * Build a guest's results view: suggested meals, then dishes grouped by category with their status
+ */
+function createGuestResults(guest) {
+  const view = createElement('div', 'results');
+  view.appendChild(createElement('strong', null, guest.name));
+
+  if ((guest.safe || []).length === 0) {
+    view.appendChild(createElement('div', 'result-summary', 'No items safe as served.'));
+  }
+
+  if ((guest.mealSuggestions || []).length > 0) {
+    view.appendChild(createElement('div', 'result-category', 'Suggested meals'));
+
+    const meals = createElement('ul', 'result-list');
+    guest.mealSuggestions.forEach(meal => meals.appendChild(createMealEntry(meal)));
+    view.appendChild(meals);
+  }
+
+  groupByCategory(guest).forEach(group => {
+    view.appendChild(createElement('div', 'result-category', capitalize(group.category)));
+
+    const list = createElement('ul', 'result-list');
+    group.dishes.forEach(({ status, item }) => list.appendChild(createDishEntry(status, item)));
+    view.appendChild(list);
+  });
+
+  return view;
+}
+
+/**
+ * Display filtering results from server
+ */
+function displayResults(data) {
+  (data.guests || []).forEach(guest => {
+    addBotMessage(createGuestResults(guest), resultsThread);
+  });
+
+  const shared = data.shareableByEveryone || [];
+  addBotMessage(shared.length > 0
+    ? 'Shareable by everyone:\n' + shared.map(item => '• ' + item.name).join('\n')
+    : 'No items shareable by everyone.', resultsThread);
+}
+
+/**
+ * Get the chat thread holding a guest's questions and answers, kept above the results
+ */
+function getGuestThread(guestIndex) {
+  if (!guestThreads[guestIndex]) {
+    const chatDiv = document.getElementById('chat');
+    guestThreads[guestIndex] = createElement('div', 'thread');
+    if (resultsThread) {
+      chatDiv.insertBefore(guestThreads[guestIndex], resultsThread);
+    } else {
+      chatDiv.appendChild(guestThreads[guestIndex]);
+    }
+  }
+  return guestThreads[guestIndex];
+}
+
+/**
+ * Add a message bubble to the chat
+ * Text is added as text nodes (never parsed as HTML), with line breaks kept
+ * @param {string|Node} content - Message text, or a view built with DOM methods
+ * @param {string} sender - 'bot' or 'user'
+ * @param {Element} thread - Thread to add to (default: the current guest's)
+ * @returns {Element} The message element
+ */
+function addMessage(content, sender, thread = getGuestThread(state.guestIndex)) {
+  const chatDiv = document.getElementById('chat');
+  const msgDiv = createElement('div', 'msg ' + sender);
+  const bubble = createElement('div', 'bubble');
+
+  if (typeof content === 'string') {
+    content.split('\n').forEach((line, index) => {
+      if (index > 0) bubble.appendChild(document.createElement('br'));
+      bubble.appendChild(document.createTextNode(line));
+    });
+  } else {
+    bubble.appendChild(content);
+  }
+
+  msgDiv.appendChild(bubble);
+  thread.appendChild(msgDiv);
+  chatDiv.scrollTop = chatDiv.scrollHeight;
+  return msgDiv;
+}
+
+/**
+ * Add bot message to chat
+ */
+function addBotMessage(content, thread) {
+  return addMessage(content, 'bot', thread);
+}
+
+/**
+ * Add user message to chat
+ */
+function addUserMessage(text, thread) {
+  return addMessage(text, 'user', thread);
+}
+
+/**
+ * Render option buttons
+ */
+function renderOptions(options, mode) {
+  if (mode === 'lookup') return renderLookup();
+  if (mode === 'text') return renderFreeText();
+  if (mode === 'form') return renderProfileForm();
+
+  const optionsDiv = document.getElementById('options');
+  optionsDiv.replaceChildren();
+  state.optionQuery = '';
+
+  const buttonsDiv = document.createElement('div');
+  buttonsDiv.className = 'option-buttons';
+  const step = getCurrentStep();
+
+  if (step && step.searchable) {
+    // Typing only redraws the buttons so the search box keeps focus
+    optionsDiv.appendChild(createTextInput('Search...', state.optionQuery, value => {
+      state.optionQuery = value;
+      renderOptionButtons(buttonsDiv, options);
+    }));
+  }
+
+  optionsDiv.appendChild(buttonsDiv);
+  renderOptionButtons(buttonsDiv, options);
+}
+
+/**
+ * Render the option buttons for the current step into a container
+ */
+function renderOptionButtons(container, options) {
+  container.replaceChildren();
+
+  getVisibleOptions(getCurrentStep(), options).forEach(option => {
+    const btn = document.createElement('button');
+    btn.className = 'option-btn';
+    btn.textContent = option;
+
+    if (isOptionSelected(option)) {
+      btn.classList.add('selected');
+    }
+
+    btn.addEventListener('click', () => {
+      handleOptionClick(option);
+      renderOptionButtons(container, options);
+    });
+
+    container.appendChild(btn);
+  });
+}
+
+/**
+ * Create a text input for the options panel
+ * @param {string} placeholder - Placeholder text
+ * @param {string} value - Current value
+ * @param {Function} onInput - Called with the new value on every keystroke
+ */
+function createTextInput(placeholder, value, onInput) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'text-input';
+  input.placeholder = placeholder;
+  input.value = value;
+  input.addEventListener('input', () => onInput(input.value));
+  return input;
+}
+
+/**
+ * Render the saved profile search box and its matches
+ */
+function renderLookup() {
+  const optionsDiv = document.getElementById('options');
+  optionsDiv.replaceChildren();
+
+  const input = createTextInput('Name, phone or reservation ID', state.lookupQuery, value => {
+    state.lookupQuery = value;
+  });
+  input.addEventListener('keydown', event => {
+    if (event.key === 'Enter') searchGuestProfiles(input.value);
+  });
+  optionsDiv.appendChild(input);
+
+  const searchBtn = document.createElement('button');
+  searchBtn.className = 'option-btn';
+  searchBtn.textContent = 'Search';
+  searchBtn.addEventListener('click', () => searchGuestProfiles(input.value));
+  optionsDiv.appendChild(searchBtn);
+
+  (state.lookupResults || []).forEach(profile => {
+    const btn = document.createElement('button');
+    btn.className = 'option-btn';
+    btn.textContent = profile.name + (profile.phone ? ' · ' + profile.phone : '');
+
+    if (state.savedProfile && state.savedProfile.id === profile.id) {
+      btn.classList.add('selected');
+    }
+
+    btn.addEventListener('click', () => {
+      applySavedProfile(profile);
+      renderLookup();
+      updateNextButton();
+    });
+
+    optionsDiv.appendChild(btn);
+  });
+
+  if (state.lookupResults && state.lookupResults.length === 0) {
+    const newGuestBtn = document.createElement('button');
+    newGuestBtn.className = 'option-btn';
+    newGuestBtn.textContent = 'Not found - new guest';
+    newGuestBtn.addEventListener('click', continueAsNewGuest);
+    optionsDiv.appendChild(newGuestBtn);
+  }
+}
+
+/**
+ * Render the free-text description box
+ * Editing the text after it was read drops the parsed answers until it is read again
+ */
+function renderFreeText() {
+  const optionsDiv = document.getElementById('options');
+  optionsDiv.replaceChildren();
+
+  const textarea = document.createElement('textarea');
+  textarea.className = 'text-input';
+  textarea.rows = 3;
+  textarea.placeholder = 'e.g., no nuts, mild gluten intolerance but soy sauce is fine, and no cilantro';
+  textarea.value = state.freeText;
+  textarea.addEventListener('input', () => {
+    if (state.parsedProfile) {
+      clearGuestAnswers();
+    }
+    state.freeText = textarea.value;
+    updateNextButton();
+  });
+  optionsDiv.appendChild(textarea);
+
+  const parseBtn = document.createElement('button');
+  parseBtn.className = 'option-btn';
+  parseBtn.textContent = 'Read it';
+  if (state.parsedProfile) {
+    parseBtn.classList.add('selected');
+  }
+  parseBtn.addEventListener('click', parseFreeText);
+  optionsDiv.appendChild(parseBtn);
+}
+
+/**
+ * Render the name, phone and reservation ID fields for saving a new profile
+ */
+function renderProfileForm() {
+  const optionsDiv = document.getElementById('options');
+  optionsDiv.replaceChildren();
+
+  [
+    { field: 'name', placeholder: 'Name (required)' },
+    { field: 'phone', placeholder: 'Phone' },
+    { field: 'reservationId', placeholder: 'Reservation ID' }
+  ].forEach(({ field, placeholder }) => {
+    optionsDiv.appendChild(createTextInput(placeholder, state.profileDetails[field], value => {
+      state.profileDetails[field] = value;
+      updateNextButton();
+    }));
+  });
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('nextBtn').addEventListener('click', goNext);
+  document.getElementById('backBtn').addEventListener('click', goBack);
+
+  // Start conversation once the allergen and ingredient options and tolerance questions are known
+  Promise.all([loadVocab(), loadToleranceTable()])
+    .catch(err => {
+      addBotMessage('Could not load allergen data: ' + err.message);
+    })
+    .then(() => {
+      askStep();
+    });
+});
@@ -0,0 +1,309 @@
+// Staff training quiz frontend
+// Each question shows a random guest and a dish; the trainee classifies it and the
+// server grades the answer against the filtering engine and explains the result
+
+// Quiz state
+const state = {
+  phase: 'staff', // 'staff' → 'question' → 'result' → 'question' ...
+  staff: '',
+  question: null, // Current question from /api/training/questions
+  answer: null // 'safe' | 'modifiable' | 'unsafe'
+};
+
+// Answer labels, in the order they are offered
+const answerLabels = {
+  safe: 'Safe as served',
+  modifiable: 'Safe with modifications',
+  unsafe: 'Not safe'
+};
+
+// Diet, allergen and ingredient flag labels from /api/vocab
+let vocab = { diets: [], allergens: [], ingredientFlags: [] };
+
+/**
+ * Get the display label for a diet, allergen or ingredient flag id
+ * @param {string} kind - 'diets', 'allergens' or 'ingredientFlags'
+ */
+function vocabLabel(kind, id) {
+  const entry = vocab[kind].find(candidate => candidate.id === id);
+  return entry ? entry.label : id.replace(/_/g, ' ');
+}
+
+/**
+ * Describe a quiz guest profile in the words a guest would use
+ * @returns {Array<string>} One line per restriction
+ */
+function describeQuizProfile(profile) {
+  const lines = [];
+
+  profile.dietaryPreferences.forEach(diet => lines.push('Diet: ' + vocabLabel('diets', diet)));
+  profile.avoidAllergens.forEach(allergen => {
+    lines.push(vocabLabel('allergens', allergen) + ': ' + (profile.allergenSeverities[allergen] || 'allergy'));
+  });
+  profile.tolerateFlags.forEach(flag => lines.push('Tolerates ' + vocabLabel('ingredientFlags', flag).toLowerCase()));
+  profile.avoidIngredientFlags.forEach(flag => lines.push('Avoids ' + vocabLabel('ingredientFlags', flag).toLowerCase()));
+  lines.push('Cross-contact ' + (profile.crossContactOk ? 'OK' : 'not OK'));
+
+  return lines;
+}
+
+/**
+ * Describe a dish's components, cross-contact risk and possible modifications
+ * @returns {Array<string>}
+ */
+function describeQuizDish(dish) {
+  const lines = [dish.name + ' (' + dish.category + ')'];
+
+  dish.components.forEach(component => {
+    const terms = component.contains_allergens.concat(component.contains_ingredient_flags);
+    lines.push('• ' + component.name + (terms.length > 0 ? ': ' + terms.join(', ') : '') +
+      (component.notes ? ' - ' + component.notes : ''));
+  });
+  if (dish.cross_contact_risk.length > 0) {
+    lines.push('Cross-contact risk: ' + dish.cross_contact_risk.join(', '));
+  }
+  dish.modifications.forEach(modification => lines.push('Kitchen can: ' + modification));
+
+  return lines;
+}
+
+/**
+ * Fetch a new question for the current trainee
+ */
+function askQuestion() {
+  fetch('/api/training/questions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ staff: state.staff })
+  })
+    .then(res => res.json().then(data => {
+      if (!res.ok) throw new Error(data.error);
+
+      state.phase = 'question';
+      state.question = data;
+      state.answer = null;
+
+      addBotMessage(['Guest:', ...describeQuizProfile(data.profile)].join('\n'));
+      addBotMessage(describeQuizDish(data.dish).join('\n'));
+      addBotMessage('Is this dish safe for the guest?');
+      renderOptions();
+    }))
+    .catch(err => {
+      addBotMessage('Could not load a question: ' + err.message);
+      renderOptions();
+    });
+}
+
+/**
+ * Send the trainee's answer and show the engine's explanation and their running score
+ */
+function submitAnswer() {
+  addUserMessage(answerLabels[state.answer]);
+
+  fetch('/api/training/questions/' + encodeURIComponent(state.question.id) + '/answer', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ answer: state.answer })
+  })
+    .then(res => res.json().then(data => {
+      if (!res.ok) throw new Error(data.error);
+
+      state.phase = 'result';
+      const lines = [data.correct ? 'Correct!' : 'Not quite - the answer is: ' + answerLabels[data.expected]];
+      data.explanation.reasons.forEach(reason => lines.push('– ' + reason));
+      data.explanation.modifications.forEach(modification => lines.push('Modification: ' + modification));
+      data.explanation.tolerance_notes.forEach(note => lines.push(note));
+      if (data.explanation.reasons.length === 0) {
+        lines.push('Nothing on this dish conflicts with the guest\'s restrictions.');
+      }
+      addBotMessage(lines.join('\n'));
+
+      return fetch('/api/training/scores?staff=' + encodeURIComponent(state.staff));
+    }))
+    .then(res => res.json())
+    .then(scores => {
+      if (scores.length > 0) {
+        addBotMessage('Score for ' + state.staff + ': ' + scores[0].correct + '/' + scores[0].answered + ' (' + scores[0].score + '%)');
+      }
+      renderOptions();
+    })
+    .catch(err => {
+      addBotMessage('Could not grade the answer: ' + err.message);
+      renderOptions();
+    });
+}
+
+/**
+ * Show the manager report: staff scores and the allergens and diets trainees miss most
+ */
+function showReport() {
+  fetch('/api/training/report')
+    .then(res => res.json())
+    .then(report => {
+      const lines = ['Manager report', 'Staff scores:'];
+      report.staff.forEach(entry => {
+        lines.push('• ' + entry.staff + ': ' + entry.correct + '/' + entry.answered + ' (' + entry.score + '%)');
+      });
+      if (report.staff.length === 0) lines.push('• No answers yet');
+
+      lines.push('Most missed allergens:');
+      report.allergens.filter(entry => entry.wrong > 0).slice(0, 5).forEach(entry => {
+        lines.push('• ' + entry.label + ': ' + entry.wrong + ' wrong of ' + entry.answered + ' (' + entry.errorRate + '%)');
+      });
+      if (!report.allergens.some(entry => entry.wrong > 0)) lines.push('• None missed yet');
+
+      const missedDiets = report.diets.filter(entry => entry.wrong > 0);
+      if (missedDiets.length > 0) {
+        lines.push('Most missed diets:');
+        missedDiets.slice(0, 5).forEach(entry => {
+          lines.push('• ' + entry.label + ': ' + entry.wrong + ' wrong of ' + entry.answered + ' (' + entry.errorRate + '%)');
+        });
+      }
+
+      addBotMessage(lines.join('\n'));
+    })
+    .catch(err => {
+      addBotMessage('Could not load the report: ' + err.message);
+    });
+}
+
+/**
+ * Move the quiz forward from the current phase
+ */
+function goNext() {
+  if (!isPhaseValid()) return;
+
+  if (state.phase === 'staff') {
+    state.staff = state.staff.trim();
+    addUserMessage(state.staff);
+    askQuestion();
+  } else if (state.phase === 'question') {
+    submitAnswer();
+  } else {
+    askQuestion();
+  }
+
+  clearOptions();
+}
+
+/**
+ * Check if the current phase has what it needs to move on
+ */
+function isPhaseValid() {
+  if (state.phase === 'staff') return state.staff.trim().length > 0;
+  if (state.phase === 'question') return state.answer !== null;
+  return true;
+}
+
+/**
+ * Update Next button disabled state
+ */
+function updateNextButton() {
+  document.getElementById('nextBtn').disabled = !isPhaseValid();
+}
+
+/**
+ * Add a message to the chat as text, keeping line breaks
+ */
+function addMessage(text, sender) {
+  const chatDiv = document.getElementById('chat');
+  const msgDiv = document.createElement('div');
+  msgDiv.className = 'msg ' + sender;
+
+  const bubble = document.createElement('div');
+  bubble.className = 'bubble';
+  text.split('\n').forEach((line, index) => {
+    if (index > 0) bubble.appendChild(document.createElement('br'));
+    bubble.appendChild(document.createTextNode(line));
+  });
+
+  msgDiv.appendChild(bubble);
+  chatDiv.appendChild(msgDiv);
+  chatDiv.scrollTop = chatDiv.scrollHeight;
+}
+
+/**
+ * Add bot message to chat
+ */
+function addBotMessage(text) {
+  addMessage(text, 'bot');
+}
+
+/**
+ * Add user message to chat
+ */
+function addUserMessage(text) {
+  addMessage(text, 'user');
+}
+
+/**
+ * Remove the options while waiting on the server
+ */
+function clearOptions() {
+  document.getElementById('options').replaceChildren();
+  document.getElementById('nextBtn').disabled = true;
+}
+
+/**
+ * Render the options for the current phase
+ */
+function renderOptions() {
+  const optionsDiv = document.getElementById('options');
+  optionsDiv.replaceChildren();
+
+  if (state.phase === 'staff') {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'text-input';
+    input.placeholder = 'Your name';
+    input.value = state.staff;
+    input.addEventListener('input', () => {
+      state.staff = input.value;
+      updateNextButton();
+    });
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Enter') goNext();
+    });
+    optionsDiv.appendChild(input);
+  }
+
+  if (state.phase === 'question') {
+    state.question.answers.forEach(answer => {
+      const btn = document.createElement('button');
+      btn.className = 'option-btn';
+      btn.textContent = answerLabels[answer];
+
+      if (state.answer === answer) {
+        btn.classList.add('selected');
+      }
+
+      btn.addEventListener('click', () => {
+        state.answer = answer;
+        renderOptions();
+      });
+
+      optionsDiv.appendChild(btn);
+    });
+  }
+
+  updateNextButton();
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('nextBtn').addEventListener('click', goNext);
+  document.getElementById('reportBtn').addEventListener('click', showReport);
+
+  fetch('/api/vocab')
+    .then(res => res.json())
+    .then(data => {
+      vocab = data;
+    })
+    .catch(err => {
+      addBotMessage('Could not load allergen data: ' + err.message);
+    })
+    .then(() => {
+      addBotMessage('Who is taking the quiz?');
+      renderOptions();
+    });
+});
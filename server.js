@@ -1,6 +1,31 @@
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
-const { filterByDietaryAndAllergies } = require('./engine');
+const { runMultiAllergyReport, getToleranceTable, SEVERITY_LEVELS } = require('./engine');
+const { getMenu, getMenuSnapshot, saveMenu, listMenus, hasMenu, DEFAULT_MENU_ID } = require('./menu-store');
+const { validateMenuItem } = require('./menu-validation');
+const { describeAllergens, describeIngredientFlags } = require('./allergen-taxonomy');
+const { getDietIds, describeDiets } = require('./dietary-rules');
+const { parseAllergyText } = require('./allergy-parser');
+const { rollUpIngredient, findDishesUsingIngredient, validateIngredient } = require('./ingredient-library');
+const { buildKitchenTicket, renderTicketText, renderTicketHtml } = require('./kitchen-ticket');
+const { DEFAULT_PROFILES_PATH, buildImpactReport, formatImpactReport } = require('./menu-diff');
+const { recordRecommendation, queryAuditLog, verifyAuditLog, formatAuditCsv } = require('./audit-log');
+const {
+  findGuestProfiles,
+  getGuestProfile,
+  validateGuestProfile,
+  createGuestProfile,
+  updateGuestProfile,
+  deleteGuestProfile
+} = require('./guest-profiles');
+const {
+  ANSWERS,
+  createQuizQuestion,
+  answerQuizQuestion,
+  getStaffScores,
+  buildTrainingReport
+} = require('./training-quiz');
 
 const app = express();
 const PORT = 3000;
@@ -9,55 +34,499 @@ const PORT = 3000;
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+/**
+ * Resolve the menu a request targets from ?menuId= (default: main)
+ * Sends a 404 and returns null when the menu does not exist
+ */
+function resolveMenuId(req, res) {
+  const menuId = req.query.menuId || DEFAULT_MENU_ID;
+
+  if (!hasMenu(menuId)) {
+    res.status(404).json({ error: `Menu ${menuId} not found` });
+    return null;
+  }
+
+  return menuId;
+}
+
+// Guest profile fields that must be lists of vocab terms
+const GUEST_LIST_FIELDS = ['dietaryPreferences', 'avoidAllergens', 'avoidIngredientFlags', 'tolerateFlags'];
+
+/**
+ * Check that a value is a plain object (not null or an array)
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the shape of one guest profile in a tableProfile
+ * @param {*} guest - Guest profile
+ * @param {string} label - Where the guest is in the request, e.g., "guests[1]"
+ * @returns {string|null} The first problem, or null when the shape is valid
+ */
+function validateGuestShape(guest, label) {
+  if (!isPlainObject(guest)) {
+    return `${label} must be a guest profile object`;
+  }
+
+  const invalidList = GUEST_LIST_FIELDS.find(field => guest[field] !== undefined &&
+    !(Array.isArray(guest[field]) && guest[field].every(entry => typeof entry === 'string')));
+  if (invalidList) {
+    return `${label}.${invalidList} must be an array of strings`;
+  }
+
+  const invalidObject = ['allergenSeverities', 'tolerances'].find(field =>
+    guest[field] !== undefined && !isPlainObject(guest[field]));
+  if (invalidObject) {
+    return `${label}.${invalidObject} must be an object`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a tableProfile sent to /api/run or /api/preview
+ * @returns {Object|null} { status, error } describing the first problem, or null when it is valid
+ */
+function validateTableProfile(tableProfile) {
+  if (!isPlainObject(tableProfile)) {
+    return { status: 400, error: 'Missing tableProfile in request body' };
+  }
+
+  if (tableProfile.guests !== undefined && !Array.isArray(tableProfile.guests)) {
+    return { status: 400, error: 'guests must be an array of guest profiles' };
+  }
+
+  if (Array.isArray(tableProfile.guests) && tableProfile.guests.length === 0) {
+    return { status: 400, error: 'guests must contain at least one guest profile' };
+  }
+
+  if (tableProfile.menuId !== undefined && !hasMenu(tableProfile.menuId)) {
+    return { status: 404, error: `Menu ${tableProfile.menuId} not found` };
+  }
+
+  if (tableProfile.at !== undefined && Number.isNaN(new Date(tableProfile.at).getTime())) {
+    return { status: 400, error: 'at must be an ISO date-time' };
+  }
+
+  const guests = Array.isArray(tableProfile.guests) ? tableProfile.guests : [tableProfile];
+  const guestLabel = index => Array.isArray(tableProfile.guests) ? `guests[${index}]` : 'profile';
+  const invalidShape = guests
+    .map((guest, index) => validateGuestShape(guest, guestLabel(index)))
+    .find(error => error !== null);
+
+  if (invalidShape) {
+    return { status: 400, error: invalidShape };
+  }
+
+  const invalidSeverities = guests
+    .map(guest => Object.values(guest.allergenSeverities || {}))
+    .reduce((all, severities) => all.concat(severities), [])
+    .filter(severity => !SEVERITY_LEVELS.includes(severity));
+
+  if (invalidSeverities.length > 0) {
+    return {
+      status: 400,
+      error: `Unknown severity: ${invalidSeverities.join(', ')}. Expected one of: ${SEVERITY_LEVELS.join(', ')}`
+    };
+  }
+
+  // A severity only makes sense for an allergen the guest avoids
+  const straySeverity = guests
+    .map((guest, index) => ({
+      label: guestLabel(index),
+      allergens: Object.keys(guest.allergenSeverities || {})
+        .filter(allergen => !(guest.avoidAllergens || []).includes(allergen))
+    }))
+    .find(entry => entry.allergens.length > 0);
+
+  if (straySeverity) {
+    return {
+      status: 400,
+      error: `${straySeverity.label}.allergenSeverities has ${straySeverity.allergens.join(', ')}, which is not in its avoidAllergens`
+    };
+  }
+
+  const menu = getMenu(tableProfile.menuId || DEFAULT_MENU_ID);
+  const diets = getDietIds(menu);
+  const unknownDiets = guests
+    .reduce((all, guest) => all.concat(guest.dietaryPreferences || []), [])
+    .filter(diet => !diets.includes(diet));
+
+  if (unknownDiets.length > 0) {
+    return {
+      status: 400,
+      error: `Unknown dietary preference: ${unknownDiets.join(', ')}. Expected one of: ${diets.join(', ')}`
+    };
+  }
+
+  // Like diets, a mistyped allergen or flag must not fail open (every dish safe)
+  const vocabFields = [
+    ['avoidAllergens', 'allergen', menu.allergen_vocab || []],
+    ['avoidIngredientFlags', 'ingredient flag', menu.ingredient_flags_vocab || []],
+    ['tolerateFlags', 'ingredient flag', menu.ingredient_flags_vocab || []]
+  ];
+
+  for (const [field, term, vocab] of vocabFields) {
+    const unknownTerms = guests
+      .reduce((all, guest) => all.concat(guest[field] || []), [])
+      .filter(value => !vocab.includes(value));
+
+    if (unknownTerms.length > 0) {
+      return {
+        status: 400,
+        error: `Unknown ${term} in ${field}: ${unknownTerms.join(', ')}. Expected one of: ${vocab.join(', ')}`
+      };
+    }
+  }
+
+  return null;
+}
+
 /**
  * POST /api/run
- * Accepts a tableProfile and runs combined + per-allergy filtering passes
+ * Accepts a tableProfile with a guests array and runs a filtering pass per guest
+ * A flat single-guest profile is still accepted and treated as one guest
+ * Optional menuId picks the menu (default: main) and optional at (ISO time) checks availability
+ * Every result is appended to the audit log before it is returned
  */
 app.post('/api/run', (req, res) => {
   try {
     const tableProfile = req.body;
+    const invalid = validateTableProfile(tableProfile);
 
-    // Validate required fields
-    if (!tableProfile) {
-      return res.status(400).json({ error: 'Missing tableProfile in request body' });
-    }
-
-    const {
-      dietaryPreferences = [],
-      avoidAllergens = [],
-      avoidIngredientFlags = [],
-      tolerateFlags = [],
-      crossContactOk = false
-    } = tableProfile;
-
-    // Single combined pass with all allergens together
-    const combinedResults = filterByDietaryAndAllergies(
-      dietaryPreferences,
-      avoidAllergens,
-      avoidIngredientFlags,
-      crossContactOk,
-      tolerateFlags
-    );
-
-    const report = {
-      safeForAll: combinedResults.safe || [],
-      canBeModifiedForAll: combinedResults.canBeModified || [],
-      filteredForAll: combinedResults.filtered || [],
-      safeByAllergy: {}
-    };
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    // The audited version must be the exact menu data the report was built from
+    const { menu, version: menuVersion } = getMenuSnapshot(tableProfile.menuId || DEFAULT_MENU_ID);
+    const report = runMultiAllergyReport(tableProfile, { menu });
+    const entry = recordRecommendation({ profile: tableProfile, menuId: report.menuId, menuVersion, result: report });
+
+    res.json({ ...report, auditId: entry.sequence });
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/preview
+ * Counts the safe, modifiable and filtered dishes per guest for a tableProfile (same body as /api/run)
+ * Used by the chat to show the impact of each answer as it changes; not recorded in the audit log.
+ * Only counts are needed, so modification plans and meal suggestions are skipped
+ */
+app.post('/api/preview', (req, res) => {
+  try {
+    const tableProfile = req.body;
+    const invalid = validateTableProfile(tableProfile);
 
-    // Optional per-allergy passes
-    (avoidAllergens || []).forEach(allergen => {
-      const singleAllergyResults = filterByDietaryAndAllergies(
-        dietaryPreferences,
-        [allergen],
-        avoidIngredientFlags,
-        crossContactOk,
-        tolerateFlags
-      );
-
-      report.safeByAllergy[allergen] = singleAllergyResults.safe || [];
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const report = runMultiAllergyReport(tableProfile, { countsOnly: true });
+
+    res.json({
+      menuId: report.menuId,
+      guests: report.guests.map(guest => ({
+        name: guest.name,
+        seat: guest.seat,
+        safe: guest.safe.length,
+        canBeModified: guest.canBeModified.length,
+        filtered: guest.filtered.length
+      }))
     });
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/kitchen-ticket?format=text|escpos|html
+ * Accepts { table, menuId, guests: [{ seat, name, ...profile, dishes: [itemId] }] } and returns a printable ticket
+ * Refuses dishes that are not safe (or safely modifiable) for the seat they were ordered for
+ */
+app.post('/api/kitchen-ticket', (req, res) => {
+  try {
+    const order = req.body;
+    const format = req.query.format || 'text';
+
+    if (!order || order.table === undefined || order.table === '') {
+      return res.status(400).json({ error: 'Missing table in request body' });
+    }
+
+    if (!Array.isArray(order.guests) || order.guests.length === 0) {
+      return res.status(400).json({ error: 'guests must contain at least one guest with dishes' });
+    }
+
+    // Same checks as /api/run, so the ticket prints exactly the profile the engine graded
+    const invalid = validateTableProfile({ guests: order.guests, menuId: order.menuId });
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    if (order.guests.some(guest => !Array.isArray(guest.dishes))) {
+      return res.status(400).json({ error: 'Each guest must have a dishes array of menu item ids' });
+    }
+
+    if (!['text', 'escpos', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: text, escpos, html' });
+    }
+
+    const ticket = buildKitchenTicket(order);
+
+    const unsafeDishes = [];
+    ticket.seats.forEach(seat => {
+      seat.dishes
+        .filter(dish => dish.status === 'filtered' || dish.status === 'unknown')
+        .forEach(dish => unsafeDishes.push({ seat: seat.seat, id: dish.id, status: dish.status, reasons: dish.reasons }));
+    });
+
+    if (unsafeDishes.length > 0) {
+      return res.status(422).json({ error: 'Order contains dishes that are not safe for their seat', details: unsafeDishes });
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(renderTicketHtml(ticket));
+    }
+
+    res.type('text/plain').send(renderTicketText(ticket, { escpos: format === 'escpos' }));
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/parse-profile?menuId=
+ * Parses a guest's free-text description ({ text }) into a profile for staff to confirm
+ */
+app.post('/api/parse-profile', (req, res) => {
+  try {
+    const menuId = resolveMenuId(req, res);
+    if (!menuId) return;
+
+    const text = req.body && req.body.text;
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({ error: 'text must be a non-empty string' });
+    }
+
+    res.json(parseAllergyText(text, getMenu(menuId)));
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/menus
+ * Lists the available menus
+ */
+app.get('/api/menus', (req, res) => {
+  res.json(listMenus().map(menuId => ({
+    id: menuId,
+    name: getMenu(menuId).name || menuId
+  })));
+});
+
+/**
+ * GET /api/tolerances?menuId=
+ * Returns the tolerance table that drives the chat's follow-up questions
+ */
+app.get('/api/tolerances', (req, res) => {
+  const menuId = resolveMenuId(req, res);
+  if (!menuId) return;
+
+  res.json(getToleranceTable(menuId));
+});
+
+/**
+ * GET /api/allergens?menuId=
+ * Returns every vocab allergen with its label, parent, children and derived forms
+ */
+app.get('/api/allergens', (req, res) => {
+  const menuId = resolveMenuId(req, res);
+  if (!menuId) return;
+
+  res.json(describeAllergens(getMenu(menuId)));
+});
+
+/**
+ * GET /api/vocab?menuId=
+ * Returns every diet, allergen and ingredient flag the chat can ask about
+ */
+app.get('/api/vocab', (req, res) => {
+  const menuId = resolveMenuId(req, res);
+  if (!menuId) return;
+
+  const menu = getMenu(menuId);
+  res.json({
+    diets: describeDiets(menu),
+    allergens: describeAllergens(menu),
+    ingredientFlags: describeIngredientFlags(menu)
+  });
+});
+
+/**
+ * GET /api/menu/items?menuId=
+ * Lists every menu item
+ */
+app.get('/api/menu/items', (req, res) => {
+  const menuId = resolveMenuId(req, res);
+  if (!menuId) return;
+
+  res.json(getMenu(menuId).items || []);
+});
+
+/**
+ * GET /api/menu/items/:id?menuId=
+ * Returns a single menu item
+ */
+app.get('/api/menu/items/:id', (req, res) => {
+  const menuId = resolveMenuId(req, res);
+  if (!menuId) return;
+
+  const item = (getMenu(menuId).items || []).find(entry => entry.id === req.params.id);
+
+  if (!item) {
+    return res.status(404).json({ error: `Menu item ${req.params.id} not found` });
+  }
+
+  res.json(item);
+});
+
+/**
+ * POST /api/menu/items?menuId=
+ * Validates and adds a new menu item
+ */
+app.post('/api/menu/items', (req, res) => {
+  try {
+    const menuId = resolveMenuId(req, res);
+    if (!menuId) return;
+
+    const menu = getMenu(menuId);
+    const item = req.body;
+
+    const errors = validateMenuItem(item, menu);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid menu item', details: errors });
+    }
+
+    if ((menu.items || []).some(entry => entry.id === item.id)) {
+      return res.status(409).json({ error: `Menu item ${item.id} already exists` });
+    }
+
+    saveMenu({ ...menu, items: [...(menu.items || []), item] }, menuId);
+
+    res.status(201).json(item);
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/menu/items/:id?menuId=
+ * Validates and replaces an existing menu item
+ */
+app.put('/api/menu/items/:id', (req, res) => {
+  try {
+    const menuId = resolveMenuId(req, res);
+    if (!menuId) return;
+
+    const menu = getMenu(menuId);
+    const item = { ...req.body, id: req.body && req.body.id !== undefined ? req.body.id : req.params.id };
+
+    if (item.id !== req.params.id) {
+      return res.status(400).json({ error: 'Item id in body does not match URL' });
+    }
+
+    const index = (menu.items || []).findIndex(entry => entry.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ error: `Menu item ${req.params.id} not found` });
+    }
+
+    const errors = validateMenuItem(item, menu);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid menu item', details: errors });
+    }
+
+    const items = [...menu.items];
+    items[index] = item;
+    saveMenu({ ...menu, items }, menuId);
+
+    res.json(item);
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/menu/items/:id?menuId=
+ * Removes a menu item
+ */
+app.delete('/api/menu/items/:id', (req, res) => {
+  try {
+    const menuId = resolveMenuId(req, res);
+    if (!menuId) return;
+
+    const menu = getMenu(menuId);
+
+    if (!(menu.items || []).some(entry => entry.id === req.params.id)) {
+      return res.status(404).json({ error: `Menu item ${req.params.id} not found` });
+    }
+
+    saveMenu({ ...menu, items: menu.items.filter(entry => entry.id !== req.params.id) }, menuId);
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/menu/diff?menuId=&format=json|text
+ * Accepts { before, after, profiles } and reports changed components and allergens, and which dishes
+ * moved between safe, canBeModified and filtered for each reference profile
+ * after defaults to the current menu; profiles default to reference-profiles.json
+ */
+app.post('/api/menu/diff', (req, res) => {
+  try {
+    const menuId = resolveMenuId(req, res);
+    if (!menuId) return;
+
+    const { before, after, profiles } = req.body || {};
+    const format = req.query.format || 'json';
+    const isMenu = menu => menu && typeof menu === 'object' && Array.isArray(menu.items);
+
+    if (!isMenu(before)) {
+      return res.status(400).json({ error: 'before must be menu data with an items array' });
+    }
+
+    if (after !== undefined && !isMenu(after)) {
+      return res.status(400).json({ error: 'after must be menu data with an items array' });
+    }
+
+    if (profiles !== undefined && !Array.isArray(profiles)) {
+      return res.status(400).json({ error: 'profiles must be an array of reference profiles' });
+    }
+
+    if (!['json', 'text'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: json, text' });
+    }
+
+    const referenceProfiles = profiles || JSON.parse(fs.readFileSync(DEFAULT_PROFILES_PATH, 'utf8'));
+    const report = buildImpactReport(before, after || getMenu(menuId), referenceProfiles);
+
+    if (format === 'text') {
+      return res.type('text/plain').send(formatImpactReport(report));
+    }
 
     res.json(report);
   } catch (error) {
@@ -66,6 +535,322 @@ app.post('/api/run', (req, res) => {
   }
 });
 
+/**
+ * GET /api/ingredients?menuId=
+ * Lists the ingredient library with each ingredient's rolled-up allergen data
+ */
+app.get('/api/ingredients', (req, res) => {
+  const menuId = resolveMenuId(req, res);
+  if (!menuId) return;
+
+  const library = getMenu(menuId).ingredients || {};
+  res.json(Object.keys(library).map(ingredientId => ({
+    id: ingredientId,
+    ...library[ingredientId],
+    rolled_up: rollUpIngredient(library, ingredientId)
+  })));
+});
+
+/**
+ * GET /api/ingredients/:id/dishes?menuId=
+ * Lists the dishes that use an ingredient, directly or through a sub-recipe
+ */
+app.get('/api/ingredients/:id/dishes', (req, res) => {
+  const menuId = resolveMenuId(req, res);
+  if (!menuId) return;
+
+  const menu = getMenu(menuId);
+  if (!(menu.ingredients || {})[req.params.id]) {
+    return res.status(404).json({ error: `Ingredient ${req.params.id} not found` });
+  }
+
+  res.json(findDishesUsingIngredient(menu, req.params.id));
+});
+
+/**
+ * PUT /api/ingredients/:id?menuId=
+ * Validates and creates or replaces a library ingredient
+ * Every dish that uses it picks up the change on its next filtering run
+ */
+app.put('/api/ingredients/:id', (req, res) => {
+  try {
+    const menuId = resolveMenuId(req, res);
+    if (!menuId) return;
+
+    const menu = getMenu(menuId);
+    const ingredients = { ...(menu.ingredients || {}), [req.params.id]: req.body };
+    const updatedMenu = { ...menu, ingredients };
+
+    const errors = validateIngredient(req.body, req.params.id, updatedMenu);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid ingredient', details: errors });
+    }
+
+    const created = !(menu.ingredients || {})[req.params.id];
+    saveMenu(updatedMenu, menuId);
+
+    res.status(created ? 201 : 200).json({
+      id: req.params.id,
+      ...req.body,
+      affectedDishes: findDishesUsingIngredient(updatedMenu, req.params.id)
+    });
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * Read audit log filters from the query string
+ * @returns {Object} { filters } or { error } when a date is not YYYY-MM-DD
+ */
+function getAuditFilters(query) {
+  const invalidDates = ['from', 'until'].filter(field =>
+    query[field] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(query[field])
+  );
+
+  if (invalidDates.length > 0) {
+    return { error: `${invalidDates.join(' and ')} must be a YYYY-MM-DD date` };
+  }
+
+  return { filters: { from: query.from, until: query.until, allergen: query.allergen } };
+}
+
+/**
+ * GET /api/audit?from=YYYY-MM-DD&until=YYYY-MM-DD&allergen=
+ * Lists audit log entries served between two dates (inclusive) to guests avoiding an allergen
+ */
+app.get('/api/audit', (req, res) => {
+  try {
+    const { filters, error } = getAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(queryAuditLog(filters));
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/audit/export?from=&until=&allergen=&format=jsonl|csv
+ * Downloads matching audit log entries as JSON Lines (complete entries) or CSV (one row per guest)
+ */
+app.get('/api/audit/export', (req, res) => {
+  try {
+    const { filters, error } = getAuditFilters(req.query);
+    const format = req.query.format || 'jsonl';
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!['jsonl', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: jsonl, csv' });
+    }
+
+    const entries = queryAuditLog(filters);
+    const range = [filters.from, filters.until].filter(Boolean).join('_to_') || 'all';
+    res.attachment(`horp-audit-${range}.${format}`);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(formatAuditCsv(entries));
+    }
+
+    res.type('application/x-ndjson').send(entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : ''));
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/audit/verify
+ * Checks the audit log's hash chain for edited, removed or reordered entries
+ */
+app.get('/api/audit/verify', (req, res) => {
+  try {
+    res.json(verifyAuditLog());
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/guest-profiles?q= or ?name=&phone=&reservationId=
+ * Looks up saved profiles for returning guests
+ */
+app.get('/api/guest-profiles', (req, res) => {
+  try {
+    const { q, name, phone, reservationId } = req.query;
+
+    if (!q && !name && !phone && !reservationId) {
+      return res.status(400).json({ error: 'Provide q, name, phone or reservationId to search' });
+    }
+
+    res.json(findGuestProfiles({ q, name, phone, reservationId }));
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/guest-profiles/:id
+ * Returns a single saved profile
+ */
+app.get('/api/guest-profiles/:id', (req, res) => {
+  const profile = getGuestProfile(req.params.id);
+
+  if (!profile) {
+    return res.status(404).json({ error: `Guest profile ${req.params.id} not found` });
+  }
+
+  res.json(profile);
+});
+
+/**
+ * POST /api/guest-profiles
+ * Validates and saves a new guest profile
+ */
+app.post('/api/guest-profiles', (req, res) => {
+  try {
+    const errors = validateGuestProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid guest profile', details: errors });
+    }
+
+    res.status(201).json(createGuestProfile(req.body));
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/guest-profiles/:id
+ * Validates and replaces a saved guest profile
+ */
+app.put('/api/guest-profiles/:id', (req, res) => {
+  try {
+    const errors = validateGuestProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid guest profile', details: errors });
+    }
+
+    const profile = updateGuestProfile(req.params.id, req.body);
+    if (!profile) {
+      return res.status(404).json({ error: `Guest profile ${req.params.id} not found` });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/guest-profiles/:id
+ * Removes a saved guest profile
+ */
+app.delete('/api/guest-profiles/:id', (req, res) => {
+  try {
+    if (!deleteGuestProfile(req.params.id)) {
+      return res.status(404).json({ error: `Guest profile ${req.params.id} not found` });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/training/questions?menuId=
+ * Issues a quiz question for a trainee: a random guest profile and a dish to classify
+ * Answers 409 when the menu has no dishes; a question not answered within a day expires
+ * Body: { staff }
+ */
+app.post('/api/training/questions', (req, res) => {
+  try {
+    const menuId = resolveMenuId(req, res);
+    if (!menuId) return;
+
+    const staff = req.body && req.body.staff;
+    if (typeof staff !== 'string' || staff.trim().length === 0) {
+      return res.status(400).json({ error: 'staff is required' });
+    }
+
+    const question = createQuizQuestion({ staff, menuId });
+    if (!question) {
+      return res.status(409).json({ error: `Menu ${menuId} has no dishes to ask about` });
+    }
+
+    res.status(201).json(question);
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/training/questions/:id/answer
+ * Grades a trainee's answer against the engine and returns the engine's explanation
+ * Body: { answer: "safe" | "modifiable" | "unsafe" }
+ */
+app.post('/api/training/questions/:id/answer', (req, res) => {
+  try {
+    const answer = req.body && req.body.answer;
+    if (!ANSWERS.includes(answer)) {
+      return res.status(400).json({ error: `answer must be one of: ${ANSWERS.join(', ')}` });
+    }
+
+    const result = answerQuizQuestion(req.params.id, answer);
+    if (!result) {
+      return res.status(404).json({ error: `Question ${req.params.id} not found, expired or already answered` });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/training/scores?staff=
+ * Returns each staff member's quiz score, or one staff member's
+ */
+app.get('/api/training/scores', (req, res) => {
+  try {
+    res.json(getStaffScores(req.query.staff));
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/training/report?menuId=
+ * Manager report: staff scores and the allergens trainees get wrong most
+ */
+app.get('/api/training/report', (req, res) => {
+  try {
+    const menuId = resolveMenuId(req, res);
+    if (!menuId) return;
+
+    res.json(buildTrainingReport(menuId));
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
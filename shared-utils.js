@@ -0,0 +1,77 @@
+// Shared helpers for HORP Bot
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write data as pretty-printed JSON atomically: to a temp file in the same directory, then renamed
+ * over the target, so readers never see a half-written file
+ * @param {string} filePath - File to write (its directory is created if missing)
+ * @param {*} data - Data to serialize
+ * @returns {string} The written file contents
+ */
+function writeJsonAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const contents = JSON.stringify(data, null, 2) + '\n';
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, contents, 'utf8');
+  fs.renameSync(tempPath, filePath);
+
+  return contents;
+}
+
+/**
+ * Add values to a list, skipping ones already present
+ * @param {Array} list - List to add to (modified in place)
+ * @param {Array} values - Values to add (missing is treated as none)
+ */
+function addUnique(list, values) {
+  (values || [])
+    .filter(value => !list.includes(value))
+    .forEach(value => list.push(value));
+}
+
+/**
+ * Turn a vocab id into a display label
+ * @returns {string} e.g., "Tree nut" for "tree_nut"
+ */
+function formatLabel(id) {
+  const words = id.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Check that a value is an array of strings
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+}
+
+/**
+ * Validate a list of vocab terms, collecting errors for unknown entries
+ * @param {*} values - Value to validate, expected array of strings
+ * @param {Array<string>} vocab - Allowed terms
+ * @param {string} field - Field label used in error messages
+ * @param {Array<string>} errors - Error list to append to
+ */
+function validateVocabList(values, vocab, field, errors) {
+  if (values === undefined) return;
+
+  if (!isStringArray(values)) {
+    errors.push(`${field} must be an array of strings`);
+    return;
+  }
+
+  values
+    .filter(value => !vocab.includes(value))
+    .forEach(value => errors.push(`${field} contains unknown term "${value}"`));
+}
+
+module.exports = {
+  writeJsonAtomic,
+  addUnique,
+  formatLabel,
+  isStringArray,
+  validateVocabList
+};
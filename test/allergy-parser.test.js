@@ -0,0 +1,50 @@
+// Free-text allergy parser tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAllergyText } = require('../allergy-parser');
+const menu = require('../menu.json');
+
+test('allergy parser: a negated allergy is not avoided and is listed for confirmation', () => {
+  const profile = parseAllergyText('not allergic to shellfish, allergic to peanuts', menu);
+
+  assert.deepStrictEqual(profile.avoidAllergens, ['peanut']);
+  assert.deepStrictEqual(profile.negated, ['not allergic to shellfish']);
+  assert.strictEqual(profile.matches.find(match => match.phrase === 'shellfish').intent, 'negated');
+});
+
+test('allergy parser: other negated allergy wording', () => {
+  assert.deepStrictEqual(parseAllergyText('no longer intolerant to dairy', menu).avoidAllergens, []);
+  assert.deepStrictEqual(parseAllergyText('doesn\'t have a peanut allergy but no sesame', menu).avoidAllergens, ['sesame']);
+});
+
+test('allergy parser: "no X" and dislikes are still avoided', () => {
+  assert.deepStrictEqual(parseAllergyText('no shellfish', menu).avoidAllergens, ['shellfish']);
+  assert.deepStrictEqual(parseAllergyText('does not like mushrooms', menu).avoidAllergens, ['mushroom']);
+  assert.deepStrictEqual(parseAllergyText('not a fan of cilantro', menu).avoidIngredientFlags, ['cilantro']);
+});
+
+test('allergy parser: tolerance wording still tolerates', () => {
+  const profile = parseAllergyText('no problem with soy sauce, celiac', menu);
+
+  assert.deepStrictEqual(profile.avoidAllergens, ['gluten']);
+  assert.deepStrictEqual(profile.tolerateFlags, ['soy_sauce']);
+  assert.deepStrictEqual(profile.negated, []);
+});
+
+test('allergy parser: "can\'t tolerate" avoids instead of tolerating', () => {
+  const gluten = parseAllergyText('can\'t tolerate gluten', menu);
+  assert.deepStrictEqual(gluten.avoidAllergens, ['gluten']);
+  assert.deepStrictEqual(gluten.tolerateFlags, []);
+
+  const soySauce = parseAllergyText('cannot tolerate soy sauce', menu);
+  assert.deepStrictEqual(soySauce.avoidIngredientFlags, ['soy_sauce']);
+  assert.deepStrictEqual(soySauce.tolerateFlags, []);
+});
+
+test('allergy parser: an allergen called fine without a tolerated form is listed for confirmation', () => {
+  const profile = parseAllergyText('gluten is fine', menu);
+
+  assert.deepStrictEqual(profile.avoidAllergens, []);
+  assert.deepStrictEqual(profile.negated, ['gluten is fine']);
+});
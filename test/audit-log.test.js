@@ -0,0 +1,85 @@
+// Recommendation audit log tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { recordRecommendation, readAuditLog, queryAuditLog, verifyAuditLog } = require('../audit-log');
+const { mockDataFiles } = require('./helpers/mock-data-files');
+
+/**
+ * Build an audit record for a table whose guests avoid the given allergens
+ */
+function tableRecord(menuId, ...allergenLists) {
+  return {
+    menuId,
+    menuVersion: 'v1',
+    profile: {},
+    result: {
+      guests: allergenLists.map((avoidAllergens, index) => ({
+        name: `Guest ${index + 1}`,
+        seat: index + 1,
+        profile: { avoidAllergens },
+        safe: [],
+        canBeModified: [],
+        filtered: []
+      }))
+    }
+  };
+}
+
+/**
+ * Rewrite the in-memory audit log with edited entries
+ */
+function writeMockLog(contents, entries) {
+  contents['logs/audit.jsonl'] = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+}
+
+// The module remembers the last entry it appended, so every recording happens in this one test
+test('audit log: entries are hash-chained and any edit, deletion or reordering breaks the chain', t => {
+  const contents = mockDataFiles(t);
+  const first = recordRecommendation(tableRecord('main', ['peanut']), new Date('2026-10-18T12:00:00Z'));
+  const second = recordRecommendation(tableRecord('main', ['milk']), new Date('2026-10-19T12:00:00Z'));
+
+  assert.strictEqual(first.sequence, 1);
+  assert.strictEqual(first.previousHash, '0'.repeat(64));
+  assert.strictEqual(second.previousHash, first.hash);
+  assert.deepStrictEqual(verifyAuditLog(), { valid: true, entries: 2, brokenAt: null });
+
+  const entries = readAuditLog();
+  writeMockLog(contents, [{ ...entries[0], menuVersion: 'v0' }, entries[1]]);
+  assert.deepStrictEqual(verifyAuditLog(), { valid: false, entries: 2, brokenAt: 1 }, 'an edited entry');
+
+  writeMockLog(contents, [entries[1]]);
+  assert.deepStrictEqual(verifyAuditLog(), { valid: false, entries: 1, brokenAt: 1 }, 'a deleted entry');
+
+  writeMockLog(contents, [entries[1], entries[0]]);
+  assert.strictEqual(verifyAuditLog().valid, false, 'reordered entries');
+});
+
+test('audit log: an allergen filter matches through the menu taxonomy in both directions', t => {
+  const contents = mockDataFiles(t);
+  const entries = [
+    { sequence: 1, timestamp: '2026-10-18T12:00:00Z', ...tableRecord('main', ['shrimp']) },
+    { sequence: 2, timestamp: '2026-10-18T13:00:00Z', ...tableRecord('main', ['peanut'], ['shellfish']) },
+    { sequence: 3, timestamp: '2026-10-18T14:00:00Z', ...tableRecord('retired', ['shrimp']) }
+  ];
+  writeMockLog(contents, entries);
+
+  const sequences = filters => queryAuditLog(filters).map(entry => entry.sequence);
+  assert.deepStrictEqual(sequences({ allergen: 'shellfish' }), [1, 2],
+    'a menu that no longer exists has no taxonomy, so its shrimp guest does not match shellfish');
+  assert.deepStrictEqual(sequences({ allergen: 'shrimp' }), [1, 2, 3]);
+  assert.deepStrictEqual(sequences({ allergen: 'crab' }), [2]);
+  assert.deepStrictEqual(sequences({ allergen: 'milk' }), []);
+});
+
+test('audit log: a date range is inclusive of both ends', t => {
+  const contents = mockDataFiles(t);
+  writeMockLog(contents, ['2026-10-17', '2026-10-18', '2026-10-19'].map((date, index) => ({
+    sequence: index + 1,
+    ...tableRecord('main', []),
+    timestamp: new Date(`${date}T12:00:00`).toISOString()
+  })));
+
+  assert.deepStrictEqual(queryAuditLog({ from: '2026-10-18', until: '2026-10-19' }).map(entry => entry.sequence), [2, 3]);
+  assert.deepStrictEqual(queryAuditLog({ until: '2026-10-17' }).map(entry => entry.sequence), [1]);
+});
@@ -0,0 +1,58 @@
+// Compliance matrix tests for HORP Bot
+// Runs every menu.json item against a matrix of profiles (test/fixtures/matrix-profiles.json) and checks
+// each dish's status and the reason types behind it against test/fixtures/compliance-matrix.json
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { filterByDietaryAndAllergies } = require('../engine');
+const menu = require('../menu.json');
+const profiles = require('./fixtures/matrix-profiles.json');
+const expectedMatrix = require('./fixtures/compliance-matrix.json');
+
+/**
+ * Get each item's status and sorted, distinct reason types for a profile
+ * @returns {Object} { itemId: { status, reasons } }
+ */
+function classifyItems(profile) {
+  const results = filterByDietaryAndAllergies(
+    profile.dietaryPreferences || [],
+    profile.avoidAllergens || [],
+    profile.avoidIngredientFlags || [],
+    profile.crossContactOk === true,
+    profile.tolerateFlags || [],
+    profile.allergenSeverities || {},
+    { menu, ignoreAvailability: true }
+  );
+
+  const classified = {};
+  ['safe', 'canBeModified', 'filtered'].forEach(status => {
+    results[status].forEach(item => {
+      const reasons = item.reasons.map(reason => reason.type)
+        .filter((type, index, all) => all.indexOf(type) === index)
+        .sort();
+      classified[item.id] = { status, reasons };
+    });
+  });
+  return classified;
+}
+
+profiles.forEach(profile => {
+  test(`compliance matrix: ${profile.name}`, async t => {
+    const expected = expectedMatrix[profile.name];
+    assert.ok(expected, `no expected results for profile "${profile.name}"`);
+
+    const classified = classifyItems(profile);
+
+    for (const item of menu.items) {
+      await t.test(`${item.id} ${item.name}`, () => {
+        assert.deepStrictEqual(classified[item.id], expected[item.id]);
+      });
+    }
+  });
+});
+
+test('compliance matrix covers every menu item', () => {
+  Object.keys(expectedMatrix).forEach(profileName => {
+    assert.deepStrictEqual(Object.keys(expectedMatrix[profileName]).sort(), menu.items.map(item => item.id).sort());
+  });
+});
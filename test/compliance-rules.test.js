@@ -0,0 +1,72 @@
+// Rule pipeline tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateDish } = require('../compliance-rules');
+const { filterByDietaryAndAllergies } = require('../engine');
+const menu = require('../menu.json');
+
+const CONTEXT = { taxonomy: menu.allergen_taxonomy, dietaryRules: menu.dietary_rules };
+
+/**
+ * Build a guest profile with only dietary preferences
+ */
+function dietProfile(...dietaryPreferences) {
+  return { dietaryPreferences, allergies: [], avoidIngredientFlags: [], crossContactOk: false, tolerateFlags: [], allergenSeverities: {} };
+}
+
+/**
+ * Build a dish from components
+ */
+function dish(...components) {
+  return { components, crossContactRisk: [], tags: [] };
+}
+
+const TOFU = { name: 'tofu', contains_allergens: ['soy'], contains_ingredient_flags: [] };
+const CHICKEN_STOCK = { name: 'chicken stock', contains_allergens: [], contains_ingredient_flags: ['poultry'] };
+const BUTTER = { name: 'butter', contains_allergens: ['dairy'], contains_ingredient_flags: [] };
+
+test('dietary rule: vegetarian and vegan follow the components, not the dish tags', () => {
+  const taggedVegan = { ...dish(TOFU, CHICKEN_STOCK), tags: ['vegan', 'vegetarian'] };
+  const vegetarian = evaluateDish(taggedVegan, dietProfile('vegetarian'), CONTEXT);
+  assert.deepStrictEqual(vegetarian.blockingTypes, ['dietary']);
+  assert.strictEqual(vegetarian.reasons[0].message, 'Vegetarian: "chicken stock" contains poultry');
+
+  assert.deepStrictEqual(evaluateDish(dish(TOFU, BUTTER), dietProfile('vegetarian'), CONTEXT).blockingTypes, []);
+  assert.deepStrictEqual(evaluateDish(dish(TOFU, BUTTER), dietProfile('vegan'), CONTEXT).reasons.map(reason => reason.message),
+    ['Vegan: "butter" contains dairy']);
+});
+
+test('dietary rule: a diet the menu has no rule for fails closed', () => {
+  const evaluation = evaluateDish(dish(TOFU), dietProfile('keto'), CONTEXT);
+
+  assert.deepStrictEqual(evaluation.blockingTypes, ['dietary']);
+  assert.strictEqual(evaluation.reasons[0].message, 'keto: no dietary rule on this menu, so the dish cannot be confirmed to fit');
+});
+
+test('dietary rule: a modification can make a dish fit a diet', () => {
+  const soupMenu = {
+    ...menu,
+    items: [{
+      id: 'T01',
+      name: 'Tofu Soup',
+      category: 'entree',
+      components: [TOFU, CHICKEN_STOCK],
+      modifications: [{
+        when: { avoid_ingredient_flags: ['poultry'] },
+        action: 'substitute',
+        target_component: 'chicken stock',
+        substitute_with: { name: 'vegetable stock', contains_allergens: [], contains_ingredient_flags: [] }
+      }]
+    }]
+  };
+
+  const filter = (...diets) => filterByDietaryAndAllergies(diets, [], [], false, [], {}, { menu: soupMenu, ignoreAvailability: true });
+
+  const [vegetarianSoup] = filter('vegetarian').canBeModified;
+  assert.deepStrictEqual(vegetarianSoup.modifications.map(mod => mod.substitute_with.name), ['vegetable stock']);
+  assert.ok(vegetarianSoup.reasons.every(reason => reason.resolvedByModification));
+
+  assert.deepStrictEqual(filter('vegetarian', 'keto').filtered.map(item => item.id), ['T01'],
+    'no modification fixes a diet without a rule');
+});
@@ -0,0 +1,53 @@
+// Dietary rule tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDietIds, getDietRestrictions, getDietLabel, describeDiets, validateDietaryRules } = require('../dietary-rules');
+const menu = require('../menu.json');
+
+test('dietary rules: every menu.json rule is valid', () => {
+  assert.deepStrictEqual(validateDietaryRules(menu), []);
+});
+
+test('dietary rules: a diet rules out what it includes from other diets', () => {
+  const vegan = getDietRestrictions(menu.dietary_rules, 'vegan');
+  const vegetarian = getDietRestrictions(menu.dietary_rules, 'vegetarian');
+
+  vegetarian.allergens.forEach(allergen => assert.ok(vegan.allergens.includes(allergen), allergen));
+  vegetarian.flags.forEach(flag => assert.ok(vegan.flags.includes(flag), flag));
+  assert.ok(vegan.allergens.includes('dairy'));
+  assert.ok(vegan.flags.includes('honey'));
+  assert.strictEqual(getDietRestrictions(menu.dietary_rules, 'carnivore'), null);
+});
+
+test('dietary rules: ids, labels and chat options come from the menu', () => {
+  assert.deepStrictEqual(getDietIds(menu), Object.keys(menu.dietary_rules));
+  assert.strictEqual(getDietLabel(menu, 'low_fodmap'), 'Low-FODMAP');
+  assert.strictEqual(getDietLabel(menu, 'gluten_free'), 'Gluten free', 'a diet without a rule falls back to its id');
+
+  const halal = describeDiets(menu).find(diet => diet.id === 'halal');
+  assert.strictEqual(halal.label, 'Halal');
+  assert.ok(halal.notes.length > 0);
+});
+
+test('dietary rules: unknown terms, missing labels, include cycles and empty rules are reported', () => {
+  const broken = {
+    ...menu,
+    dietary_rules: {
+      raw: { label: 'Raw', avoid_allergens: ['glutten'], avoid_ingredient_flags: ['cooked'], includes: ['paleo'] },
+      loop_a: { label: 'Loop A', includes: ['loop_b'], avoid_ingredient_flags: ['pork'] },
+      loop_b: { label: 'Loop B', includes: ['loop_a'] },
+      anything: { label: ' ' }
+    }
+  };
+
+  assert.deepStrictEqual(validateDietaryRules(broken), [
+    'dietary_rules.raw.avoid_allergens contains unknown allergen "glutten"',
+    'dietary_rules.raw.avoid_ingredient_flags contains unknown flag "cooked"',
+    'dietary_rules.raw.includes contains unknown diet "paleo"',
+    'dietary_rules.loop_a.includes has a cycle back to "loop_a"',
+    'dietary_rules.loop_b.includes has a cycle back to "loop_b"',
+    'dietary_rules.anything needs a label',
+    'dietary_rules.anything rules out nothing and accepts every dish'
+  ]);
+});
@@ -0,0 +1,106 @@
+// Filtering engine tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { filterByDietaryAndAllergies, runMultiAllergyReport } = require('../engine');
+const menu = require('../menu.json');
+const profiles = require('./fixtures/matrix-profiles.json');
+
+/**
+ * Get each guest's list of dish ids per status
+ */
+function listIds(report) {
+  return report.guests.map(guest => ({
+    safe: guest.safe.map(item => item.id),
+    canBeModified: guest.canBeModified.map(item => item.id),
+    filtered: guest.filtered.map(item => item.id)
+  }));
+}
+
+test('engine: a counts-only report sorts dishes like the full report', () => {
+  const tableProfile = { guests: profiles };
+
+  const full = runMultiAllergyReport(tableProfile, { menu });
+  const countsOnly = runMultiAllergyReport(tableProfile, { menu, countsOnly: true });
+
+  assert.deepStrictEqual(listIds(countsOnly), listIds(full));
+  countsOnly.guests.forEach(guest => {
+    assert.deepStrictEqual(guest.mealSuggestions, []);
+    guest.canBeModified.forEach(item => assert.strictEqual(item.modifications, undefined));
+  });
+});
+
+// Two entrees: one needs both of its gluten components removed, one has two ways to lose its peanuts
+const MODIFICATION_MENU = {
+  ...menu,
+  items: [
+    {
+      id: 'T01',
+      name: 'Duck Buns',
+      category: 'entree',
+      components: [
+        { name: 'duck', contains_allergens: [], contains_ingredient_flags: ['poultry'] },
+        { name: 'steamed buns', contains_allergens: ['gluten'], contains_ingredient_flags: [] },
+        { name: 'sauce', contains_allergens: ['gluten'], contains_ingredient_flags: [] }
+      ],
+      modifications: [
+        { when: { avoid_allergens: ['gluten'] }, action: 'remove', target_component: 'steamed buns' },
+        { when: { avoid_allergens: ['gluten'] }, action: 'remove', target_component: 'sauce' }
+      ]
+    },
+    {
+      id: 'T02',
+      name: 'Peanut Noodles',
+      category: 'entree',
+      components: [
+        { name: 'noodles', contains_allergens: [], contains_ingredient_flags: [] },
+        { name: 'peanut sauce', contains_allergens: ['peanut'], contains_ingredient_flags: [] }
+      ],
+      modifications: [
+        { when: { avoid_allergens: ['sesame'] }, action: 'remove', target_component: 'peanut sauce' },
+        {
+          when: { avoid_allergens: ['peanut'] },
+          action: 'substitute',
+          target_component: 'peanut sauce',
+          substitute_with: { name: 'chili oil', contains_allergens: [], contains_ingredient_flags: [] }
+        },
+        { when: { avoid_allergens: ['peanut'] }, action: 'remove', target_component: 'noodles' }
+      ]
+    }
+  ]
+};
+
+/**
+ * Filter the modification menu for a guest avoiding the given allergens
+ */
+function filterModificationMenu(allergies) {
+  return filterByDietaryAndAllergies([], allergies, [], false, [], {}, { menu: MODIFICATION_MENU, ignoreAvailability: true });
+}
+
+test('engine: a dish that needs two removals is modifiable with both of them together', () => {
+  const [duck] = filterModificationMenu(['gluten']).canBeModified;
+
+  assert.strictEqual(duck.id, 'T01');
+  assert.deepStrictEqual(duck.modifications.map(mod => mod.target_component), ['steamed buns', 'sauce']);
+  assert.deepStrictEqual(duck.alternatives, []);
+  duck.modifications.forEach(mod => assert.strictEqual(mod.resolves.length, 1, `${mod.target_component} resolves its own gluten`));
+  assert.ok(duck.reasons.filter(reason => reason.type === 'allergen').every(reason => reason.resolvedByModification));
+});
+
+test('engine: the modification the kitchen intends ranks first, and other minimal sets are alternatives', () => {
+  const [noodles] = filterModificationMenu(['peanut']).canBeModified;
+
+  assert.strictEqual(noodles.id, 'T02');
+  assert.deepStrictEqual(noodles.modifications.map(mod => mod.action), ['substitute']);
+  assert.deepStrictEqual(noodles.alternatives.map(set => set.map(mod => mod.action)), [['remove']],
+    'removing the sauce works even though its when clause is for sesame, and no set adds the noodle removal');
+});
+
+test('engine: a dish no set of modifications can make safe is filtered', () => {
+  const duck = MODIFICATION_MENU.items[0];
+  const bunsOnlyMenu = { ...MODIFICATION_MENU, items: [{ ...duck, modifications: duck.modifications.slice(0, 1) }] };
+  const results = filterByDietaryAndAllergies([], ['gluten'], [], false, [], {}, { menu: bunsOnlyMenu, ignoreAvailability: true });
+
+  assert.deepStrictEqual(results.canBeModified, []);
+  assert.deepStrictEqual(results.filtered.map(item => item.id), ['T01']);
+});
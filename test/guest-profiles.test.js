@@ -0,0 +1,84 @@
+// Saved guest profile tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  findGuestProfiles,
+  getGuestProfile,
+  validateGuestProfile,
+  createGuestProfile,
+  updateGuestProfile,
+  deleteGuestProfile
+} = require('../guest-profiles');
+const { mockDataFiles } = require('./helpers/mock-data-files');
+
+const REGULAR = {
+  name: 'Dana Reyes',
+  phone: '(555) 010-2000',
+  reservationIds: ['R-1042'],
+  avoidAllergens: ['peanut'],
+  allergenSeverities: { peanut: 'anaphylaxis' }
+};
+
+test('guest profiles: a saved profile gets defaults, an id and timestamps', t => {
+  const contents = mockDataFiles(t);
+  const now = new Date('2026-10-19T12:00:00Z');
+  const stored = createGuestProfile({ ...REGULAR, name: '  Dana Reyes ' }, now);
+
+  assert.strictEqual(stored.name, 'Dana Reyes');
+  assert.deepStrictEqual(stored.dietaryPreferences, []);
+  assert.strictEqual(stored.crossContactOk, false);
+  assert.strictEqual(stored.createdAt, now.toISOString());
+  assert.deepStrictEqual(getGuestProfile(stored.id), stored);
+  assert.deepStrictEqual(JSON.parse(contents['data/guest-profiles.json']), [stored]);
+});
+
+test('guest profiles: staff find a regular by partial name, any phone format or reservation id', t => {
+  mockDataFiles(t);
+  const dana = createGuestProfile(REGULAR, new Date('2026-10-18T12:00:00Z'));
+  const danny = createGuestProfile({ name: 'Danny Cole', phone: '555-010-3000' }, new Date('2026-10-19T12:00:00Z'));
+
+  assert.deepStrictEqual(findGuestProfiles({ name: 'dan' }).map(profile => profile.id), [danny.id, dana.id]);
+  assert.deepStrictEqual(findGuestProfiles({ phone: '5550102000' }).map(profile => profile.id), [dana.id]);
+  assert.deepStrictEqual(findGuestProfiles({ reservationId: 'R-1042' }).map(profile => profile.id), [dana.id]);
+  assert.deepStrictEqual(findGuestProfiles({ q: '555 010 3000' }).map(profile => profile.id), [danny.id]);
+  assert.deepStrictEqual(findGuestProfiles({ name: 'dan', phone: '5550102000' }).map(profile => profile.id), [dana.id]);
+  assert.deepStrictEqual(findGuestProfiles({}), [], 'an empty query matches nobody');
+});
+
+test('guest profiles: an update keeps the id and creation time, and a delete removes the profile', t => {
+  mockDataFiles(t);
+  const stored = createGuestProfile(REGULAR, new Date('2026-10-18T12:00:00Z'));
+  const later = new Date('2026-10-19T12:00:00Z');
+  const updated = updateGuestProfile(stored.id, { ...REGULAR, avoidAllergens: ['peanut', 'sesame'] }, later);
+
+  assert.strictEqual(updated.id, stored.id);
+  assert.strictEqual(updated.createdAt, stored.createdAt);
+  assert.strictEqual(updated.updatedAt, later.toISOString());
+  assert.deepStrictEqual(getGuestProfile(stored.id).avoidAllergens, ['peanut', 'sesame']);
+  assert.strictEqual(updateGuestProfile('missing', REGULAR), null);
+
+  assert.strictEqual(deleteGuestProfile(stored.id), true);
+  assert.strictEqual(getGuestProfile(stored.id), null);
+  assert.strictEqual(deleteGuestProfile(stored.id), false);
+});
+
+test('guest profiles: validation names each malformed field', () => {
+  assert.deepStrictEqual(validateGuestProfile(REGULAR), []);
+  assert.deepStrictEqual(validateGuestProfile(null), ['profile must be an object']);
+  assert.deepStrictEqual(validateGuestProfile({
+    name: ' ',
+    phone: 5550102000,
+    avoidAllergens: 'peanut',
+    allergenSeverities: { peanut: 'deadly' },
+    crossContactOk: 'yes',
+    tolerance_answers: { soy: 'maybe' }
+  }), [
+    'name is required',
+    'phone must be a string',
+    'avoidAllergens must be an array of strings',
+    'Unknown severity: deadly. Expected one of: preference, intolerance, allergy, anaphylaxis',
+    'crossContactOk must be true or false',
+    'tolerance_answers.soy must be true or false'
+  ]);
+});
@@ -0,0 +1,62 @@
+// In-memory data files for HORP Bot tests
+// Mocks the fs calls the modules make under data/, logs/ and menus/, so tests never touch real
+// guest profiles, training data, audit logs or extra menus
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MOCKED_DIRS = ['data', 'logs', 'menus'].map(dir => path.join(ROOT, dir));
+
+/**
+ * Keep files under data/, logs/ and menus/ in memory for the rest of a test
+ * @param {Object} t - The test context (mocks are restored when the test ends)
+ * @param {Object} files - Initial contents by path relative to the repo, e.g., { "menus/lunch.json": "{...}" }
+ * @returns {Object} Contents by path relative to the repo, updated as the modules write
+ */
+function mockDataFiles(t, files = {}) {
+  const contents = { ...files };
+  const mtimes = {};
+  const original = { ...fs };
+
+  const toKey = file => path.relative(ROOT, path.resolve(String(file)));
+  const isMocked = file => MOCKED_DIRS.some(dir => path.resolve(String(file)).startsWith(dir + path.sep) || path.resolve(String(file)) === dir);
+  const isDirectory = key => Object.keys(contents).some(file => file.startsWith(key + path.sep));
+  const write = (key, data) => {
+    contents[key] = String(data);
+    mtimes[key] = (mtimes[key] || 0) + 1;
+  };
+
+  t.mock.method(fs, 'existsSync', file => isMocked(file)
+    ? toKey(file) in contents || isDirectory(toKey(file))
+    : original.existsSync(file));
+  t.mock.method(fs, 'readdirSync', (dir, ...args) => isMocked(dir)
+    ? Object.keys(contents).filter(file => path.dirname(file) === toKey(dir)).map(file => path.basename(file))
+    : original.readdirSync(dir, ...args));
+  t.mock.method(fs, 'readFileSync', (file, ...args) => {
+    if (!isMocked(file)) return original.readFileSync(file, ...args);
+    if (!(toKey(file) in contents)) throw new Error(`ENOENT: no such file, open '${file}'`);
+    return contents[toKey(file)];
+  });
+  t.mock.method(fs, 'statSync', (file, ...args) => isMocked(file)
+    ? { mtimeMs: mtimes[toKey(file)] || 0 }
+    : original.statSync(file, ...args));
+  t.mock.method(fs, 'mkdirSync', (dir, ...args) => isMocked(dir) ? undefined : original.mkdirSync(dir, ...args));
+  t.mock.method(fs, 'writeFileSync', (file, data, ...args) => isMocked(file)
+    ? write(toKey(file), data)
+    : original.writeFileSync(file, data, ...args));
+  t.mock.method(fs, 'appendFileSync', (file, data, ...args) => isMocked(file)
+    ? write(toKey(file), (contents[toKey(file)] || '') + data)
+    : original.appendFileSync(file, data, ...args));
+  t.mock.method(fs, 'renameSync', (from, to) => {
+    if (!isMocked(to)) return original.renameSync(from, to);
+    write(toKey(to), contents[toKey(from)]);
+    delete contents[toKey(from)];
+  });
+
+  return contents;
+}
+
+module.exports = {
+  mockDataFiles
+};
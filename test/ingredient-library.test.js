@@ -0,0 +1,77 @@
+// Ingredient library tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { filterByDietaryAndAllergies } = require('../engine');
+const { resolveComponent, validateIngredient } = require('../ingredient-library');
+const menu = require('../menu.json');
+
+/**
+ * Build a menu with one extra appetizer made of the given library ingredients
+ */
+function menuWithDish(ingredients) {
+  return {
+    ...menu,
+    items: [...menu.items, {
+      id: 'T01',
+      name: 'Test Dumplings',
+      category: 'appetizer',
+      components: [{ name: 'dumplings', ingredients }],
+      cross_contact_risk: [],
+      modifications: [],
+      tags: []
+    }]
+  };
+}
+
+/**
+ * Get the test dish's status and entry for a gluten-allergic guest who tolerates soy sauce
+ */
+function evaluateForSoySauceTolerantGuest(testMenu) {
+  const results = filterByDietaryAndAllergies([], ['gluten'], [], false, ['soy_sauce'], {}, { menu: testMenu, ignoreAvailability: true });
+  const status = ['safe', 'canBeModified', 'filtered'].find(key => results[key].some(item => item.id === 'T01'));
+  return { status, item: results[status].find(item => item.id === 'T01') };
+}
+
+test('ingredient library: resolved components keep each ingredient as an allergen source', () => {
+  const resolved = resolveComponent({ name: 'dumplings', ingredients: ['wheat_wrapper', 'soy_sauce'] }, menu);
+
+  assert.deepStrictEqual(resolved.contains_allergens, ['gluten']);
+  assert.deepStrictEqual(
+    resolved.allergen_sources.filter(source => source.contains_allergens.length > 0).map(source => source.ingredient),
+    ['wheat_wrapper', 'soy_sauce']
+  );
+});
+
+test('ingredient library: a tolerated form does not excuse the same allergen from another ingredient', () => {
+  const { status, item } = evaluateForSoySauceTolerantGuest(menuWithDish(['wheat_wrapper', 'soy_sauce']));
+
+  assert.strictEqual(status, 'filtered');
+  assert.strictEqual(item.tolerance_notes, undefined);
+  assert.deepStrictEqual(item.reasons.map(reason => reason.type), ['allergen']);
+});
+
+test('ingredient library: an allergen carried only by tolerated forms is still tolerated', () => {
+  const { status, item } = evaluateForSoySauceTolerantGuest(menuWithDish(['soy_sauce']));
+
+  assert.strictEqual(status, 'safe');
+  assert.deepStrictEqual(item.tolerance_notes, ['Can tolerate gluten in form: soy_sauce']);
+});
+
+test('ingredient library: sub-recipe ingredients are their own allergen sources', () => {
+  const resolved = resolveComponent({ name: 'garnish', ingredients: ['scallion_sesame_garnish'] }, menu);
+
+  assert.deepStrictEqual(
+    resolved.allergen_sources.map(source => source.ingredient),
+    [null, 'scallion_sesame_garnish', 'toasted_sesame_seeds', 'scallion']
+  );
+});
+
+test('ingredient library: ingredient vocab errors read like other menu errors', () => {
+  const errors = validateIngredient({ name: 'Chili oil', contains_allergens: ['sesame', 'sesme'], contains_ingredient_flags: [1] }, 'chili_oil', menu);
+
+  assert.deepStrictEqual(errors, [
+    'ingredients.chili_oil.contains_allergens contains unknown term "sesme"',
+    'ingredients.chili_oil.contains_ingredient_flags must be an array of strings'
+  ]);
+});
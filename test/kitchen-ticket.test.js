@@ -0,0 +1,49 @@
+// Kitchen ticket fixture tests for HORP Bot
+// Renders a known order in every format and compares it with the files in test/fixtures
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildKitchenTicket, renderTicketText, renderTicketHtml } = require('../kitchen-ticket');
+const order = require('./fixtures/kitchen-order.json');
+
+const CREATED_AT = new Date('2026-10-19T19:30:00Z');
+
+/**
+ * Read a fixture file as text
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('kitchen ticket: dish statuses and actions per seat', () => {
+  const ticket = buildKitchenTicket(order, CREATED_AT);
+
+  assert.deepStrictEqual(
+    ticket.seats.map(seat => seat.dishes.map(dish => ({ id: dish.id, status: dish.status, actions: dish.actions }))),
+    [
+      [
+        { id: 'A01', status: 'safe', actions: [] },
+        { id: 'E02', status: 'canBeModified', actions: [{ action: 'substitute', target: 'soy sauce', replacement: 'tamari' }] }
+      ],
+      [
+        { id: 'A05', status: 'safe', actions: [] },
+        { id: 'E01', status: 'canBeModified', actions: [{ action: 'remove', target: 'garnish', replacement: null }] }
+      ]
+    ]
+  );
+});
+
+test('kitchen ticket: plain text matches fixture', () => {
+  assert.strictEqual(renderTicketText(buildKitchenTicket(order, CREATED_AT)), readFixture('kitchen-ticket.txt'));
+});
+
+test('kitchen ticket: ESC/POS matches fixture', () => {
+  const ticket = buildKitchenTicket(order, CREATED_AT);
+  assert.strictEqual(renderTicketText(ticket, { escpos: true }), readFixture('kitchen-ticket.escpos'));
+});
+
+test('kitchen ticket: HTML matches fixture', () => {
+  assert.strictEqual(renderTicketHtml(buildKitchenTicket(order, CREATED_AT)), readFixture('kitchen-ticket.html'));
+});
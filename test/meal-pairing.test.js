@@ -0,0 +1,73 @@
+// Meal suggestion tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildMealSuggestions, getPairingTags, validatePairingRules } = require('../meal-pairing');
+const menu = require('../menu.json');
+
+// A two-course menu where the appetizer's bacon can be left out and the entree is pork
+const PORK_MENU = {
+  ...menu,
+  items: [
+    {
+      id: 'T01',
+      name: 'Greens with Bacon',
+      category: 'appetizer',
+      components: [
+        { name: 'greens', contains_allergens: [], contains_ingredient_flags: [] },
+        { name: 'bacon', contains_allergens: [], contains_ingredient_flags: ['pork'] }
+      ],
+      modifications: [{ when: { avoid_allergens: ['sesame'] }, action: 'remove', target_component: 'bacon' }],
+      pairing_tags: ['mild', 'pork']
+    },
+    {
+      id: 'T02',
+      name: 'Pork Belly',
+      category: 'entree',
+      components: [{ name: 'pork belly', contains_allergens: [], contains_ingredient_flags: ['pork'] }],
+      modifications: [],
+      pairing_tags: ['spicy', 'pork']
+    }
+  ]
+};
+
+/**
+ * Build filtering results for the pork menu, with the appetizer either safe or modifiable
+ */
+function porkMenuResults(appetizerStatus) {
+  const appetizer = { id: 'T01', name: 'Greens with Bacon', category: 'appetizer', reasons: [] };
+  const entree = { id: 'T02', name: 'Pork Belly', category: 'entree', reasons: [] };
+
+  return appetizerStatus === 'safe'
+    ? { safe: [appetizer, entree], canBeModified: [], filtered: [] }
+    : {
+      safe: [entree],
+      canBeModified: [{ ...appetizer, modifications: [PORK_MENU.items[0].modifications[0]] }],
+      filtered: []
+    };
+}
+
+test('meal pairing: the menu has no pairing rule problems', () => {
+  assert.deepStrictEqual(validatePairingRules(menu), []);
+});
+
+test('meal pairing: pairing tags come from every balance rule', () => {
+  assert.ok(getPairingTags(menu).includes('spicy'));
+  assert.ok(getPairingTags(menu).includes('pork'));
+});
+
+test('meal pairing: no protein twice in a meal', () => {
+  assert.deepStrictEqual(buildMealSuggestions(porkMenuResults('safe'), PORK_MENU), []);
+});
+
+test('meal pairing: a dish balances on its tags after modifications', () => {
+  const suggestions = buildMealSuggestions(porkMenuResults('canBeModified'), PORK_MENU);
+
+  assert.deepStrictEqual(suggestions, [{
+    dishes: [
+      { id: 'T01', name: 'Greens with Bacon', category: 'appetizer', status: 'canBeModified' },
+      { id: 'T02', name: 'Pork Belly', category: 'entree', status: 'safe' }
+    ],
+    modifiedDishes: 1
+  }]);
+});
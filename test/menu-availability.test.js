@@ -0,0 +1,79 @@
+// Named menu and availability window tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isItemAvailable, validateAvailability, validateDayparts } = require('../menu-availability');
+const { filterByDietaryAndAllergies } = require('../engine');
+const { getMenu } = require('../menu-store');
+const { mockDataFiles } = require('./helpers/mock-data-files');
+const menu = require('../menu.json');
+
+// A late-night daypart that crosses midnight, next to the menu's lunch and dinner
+const LATE_MENU = {
+  ...menu,
+  dayparts: { ...menu.dayparts, late: { start: '22:00', end: '02:00' } }
+};
+
+/**
+ * Build a local time on the given date
+ */
+function localTime(date, time) {
+  return new Date(`${date}T${time}:00`);
+}
+
+test('availability: items without an availability block are always served', () => {
+  assert.strictEqual(isItemAvailable({ id: 'T01' }, LATE_MENU, localTime('2026-10-19', '04:00')), true);
+});
+
+test('availability: dayparts include their start, exclude their end and may cross midnight', () => {
+  const lunch = { availability: { dayparts: ['lunch'] } };
+  assert.strictEqual(isItemAvailable(lunch, LATE_MENU, localTime('2026-10-19', '11:00')), true);
+  assert.strictEqual(isItemAvailable(lunch, LATE_MENU, localTime('2026-10-19', '15:00')), false);
+
+  const late = { availability: { dayparts: ['late'] } };
+  assert.strictEqual(isItemAvailable(late, LATE_MENU, localTime('2026-10-19', '23:30')), true);
+  assert.strictEqual(isItemAvailable(late, LATE_MENU, localTime('2026-10-20', '01:59')), true);
+  assert.strictEqual(isItemAvailable(late, LATE_MENU, localTime('2026-10-20', '02:00')), false);
+
+  const unknown = { availability: { dayparts: ['brunch'] } };
+  assert.strictEqual(isItemAvailable(unknown, LATE_MENU, localTime('2026-10-19', '11:00')), false, 'an unknown daypart is never served');
+});
+
+test('availability: a date window includes both of its days', () => {
+  const seasonal = { availability: { from: '2026-10-01', until: '2026-10-31' } };
+  assert.strictEqual(isItemAvailable(seasonal, LATE_MENU, localTime('2026-09-30', '12:00')), false);
+  assert.strictEqual(isItemAvailable(seasonal, LATE_MENU, localTime('2026-10-01', '00:00')), true);
+  assert.strictEqual(isItemAvailable(seasonal, LATE_MENU, localTime('2026-10-31', '23:59')), true);
+  assert.strictEqual(isItemAvailable(seasonal, LATE_MENU, localTime('2026-11-01', '00:00')), false);
+});
+
+test('availability: malformed windows and dayparts are reported', () => {
+  assert.deepStrictEqual(validateAvailability({ dayparts: ['lunch', 'brunch'], from: '2026-11-01', until: '2026-10-01' }, LATE_MENU), [
+    'availability.dayparts contains unknown daypart "brunch"',
+    'availability.from must not be after availability.until'
+  ]);
+  assert.deepStrictEqual(validateAvailability({ from: '10/01/2026' }, LATE_MENU), ['availability.from must be a YYYY-MM-DD date']);
+  assert.deepStrictEqual(validateAvailability([], LATE_MENU), ['availability must be an object']);
+  assert.deepStrictEqual(validateDayparts({ brunch: { start: '9:00', end: '14:00' } }), ['dayparts.brunch needs start and end times as HH:MM']);
+});
+
+test('named menus: filtering uses the named menu and only the dishes it serves at that time', t => {
+  const brunchMenu = {
+    ...LATE_MENU,
+    items: [
+      { ...menu.items[0], id: 'B01', availability: { dayparts: ['lunch'] } },
+      { ...menu.items[0], id: 'B02', availability: { dayparts: ['late'] } }
+    ]
+  };
+  mockDataFiles(t, { 'menus/brunch.json': JSON.stringify(brunchMenu) });
+
+  const itemIds = at => {
+    const results = filterByDietaryAndAllergies([], [], [], false, [], {}, { menuId: 'brunch', at });
+    return [...results.safe, ...results.canBeModified, ...results.filtered].map(item => item.id);
+  };
+  assert.deepStrictEqual(itemIds(localTime('2026-10-19', '12:00')), ['B01']);
+  assert.deepStrictEqual(itemIds(localTime('2026-10-19', '23:00')), ['B02']);
+  assert.deepStrictEqual(itemIds(localTime('2026-10-19', '16:00')), []);
+
+  assert.throws(() => getMenu('../menu'), /Invalid menu id/);
+});
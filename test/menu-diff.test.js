@@ -0,0 +1,51 @@
+// Menu change impact report tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffMenus, buildImpactReport, formatImpactReport } = require('../menu-diff');
+const menu = require('../menu.json');
+const profiles = require('../reference-profiles.json');
+
+/**
+ * Copy the menu so a test can change it without touching the shared module cache
+ */
+function cloneMenu() {
+  return JSON.parse(JSON.stringify(menu));
+}
+
+test('menu diff: an unchanged menu has no changes', () => {
+  assert.deepStrictEqual(diffMenus(menu, cloneMenu()), { added: [], removed: [], changed: [] });
+});
+
+test('menu diff: cross-contact risk on a library ingredient shows on the components using it', () => {
+  const after = cloneMenu();
+  after.ingredients.soy_sauce.cross_contact_risk = ['peanut'];
+
+  const changes = diffMenus(menu, after);
+  const components = changes.changed.reduce((all, item) => all.concat(item.components), []);
+
+  assert.ok(components.length > 0);
+  components.forEach(component => {
+    assert.deepStrictEqual(component.crossContact, { added: ['peanut'], removed: [] });
+  });
+  assert.doesNotMatch(formatImpactReport(buildImpactReport(menu, after, profiles)), /no allergen-relevant changes/);
+});
+
+test('menu diff: allergens added to a modification substitute are reported', () => {
+  const after = cloneMenu();
+  const modification = after.items.find(item => item.id === 'E02').modifications
+    .find(entry => entry.action === 'substitute');
+  modification.substitute_with.contains_allergens = ['gluten'];
+
+  const changes = diffMenus(menu, after);
+  assert.deepStrictEqual(changes.changed.map(item => item.id), ['E02']);
+  assert.deepStrictEqual(changes.changed[0].components, [{
+    name: 'tamari',
+    substituteFor: 'soy sauce',
+    change: 'changed',
+    allergens: { added: ['gluten'], removed: [] },
+    flags: { added: [], removed: [] },
+    crossContact: { added: [], removed: [] }
+  }]);
+  assert.match(formatImpactReport(buildImpactReport(menu, after, profiles)), /changed substitute "tamari" \(for "soy sauce"\): allergens \+gluten/);
+});
@@ -0,0 +1,51 @@
+// Menu storage and item validation tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getMenu, getMenuVersion, getMenuSnapshot, saveMenu, listMenus, hasMenu } = require('../menu-store');
+const { validateMenuItem } = require('../menu-validation');
+const { mockDataFiles } = require('./helpers/mock-data-files');
+const menu = require('../menu.json');
+
+test('menu validation: every menu.json item is valid', () => {
+  menu.items.forEach(item => assert.deepStrictEqual(validateMenuItem(item, menu), [], item.id));
+});
+
+test('menu validation: unknown terms and broken modifications are reported', () => {
+  const item = {
+    id: 'T01',
+    name: 'Test Noodles',
+    category: 'entree',
+    components: [{ name: 'noodles', contains_allergens: ['glutten'], contains_ingredient_flags: [] }],
+    cross_contact_risk: ['peanut'],
+    modifications: [{ when: { avoid_allergens: ['gluten'] }, action: 'remove', target_component: 'sauce' }]
+  };
+
+  const errors = validateMenuItem(item, menu);
+  assert.ok(errors.includes('components[0].contains_allergens contains unknown term "glutten"'), errors.join('\n'));
+  assert.ok(errors.some(error => error.includes('"sauce"')), errors.join('\n'));
+  assert.deepStrictEqual(validateMenuItem([], menu), ['item must be an object']);
+});
+
+test('menu store: a saved menu is live at once, with a new version, and written atomically', t => {
+  const contents = mockDataFiles(t, { 'menus/lunch.json': JSON.stringify({ ...menu, items: [] }) });
+
+  assert.deepStrictEqual(listMenus(), ['main', 'lunch']);
+  assert.ok(hasMenu('lunch'));
+  assert.deepStrictEqual(getMenu('lunch').items, []);
+  const before = getMenuVersion('lunch');
+
+  const lunch = { ...menu, items: menu.items.slice(0, 2) };
+  saveMenu(lunch, 'lunch');
+
+  assert.strictEqual(getMenu('lunch'), lunch);
+  assert.notStrictEqual(getMenuVersion('lunch'), before);
+  assert.deepStrictEqual(getMenuSnapshot('lunch'), { menu: lunch, version: getMenuVersion('lunch') });
+  assert.strictEqual(contents['menus/lunch.json'], JSON.stringify(lunch, null, 2) + '\n');
+  assert.deepStrictEqual(Object.keys(contents), ['menus/lunch.json'], 'no temp file is left behind');
+});
+
+test('menu store: menu ids must be safe file names', () => {
+  assert.throws(() => getMenu('../menu'), /Invalid menu id/);
+  assert.strictEqual(hasMenu('../menu'), false);
+});
@@ -0,0 +1,54 @@
+// Staff training quiz tests for HORP Bot
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ANSWERS, createQuizQuestion, answerQuizQuestion, getStaffScores } = require('../training-quiz');
+const { mockDataFiles } = require('./helpers/mock-data-files');
+const menu = require('../menu.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the in-memory training data
+ */
+function readMockTraining(contents) {
+  return JSON.parse(contents['data/training.json']);
+}
+
+test('training quiz: a question hides its answer and is graded against the engine', t => {
+  const contents = mockDataFiles(t);
+  const question = createQuizQuestion({ staff: ' Sam ', random: () => 0.5 });
+
+  assert.strictEqual(question.staff, 'Sam');
+  assert.deepStrictEqual(question.answers, ANSWERS);
+  assert.strictEqual(question.expected, undefined);
+  assert.ok(menu.items.some(item => item.id === question.dish.id));
+
+  const { expected } = readMockTraining(contents).questions[0];
+  const result = answerQuizQuestion(question.id, expected);
+  assert.strictEqual(result.correct, true);
+  assert.deepStrictEqual(getStaffScores('Sam'), [{ staff: 'Sam', answered: 1, correct: 1, score: 100 }]);
+
+  assert.strictEqual(answerQuizQuestion(question.id, expected), null, 'a question can be answered once');
+});
+
+test('training quiz: a menu without dishes issues no question', t => {
+  const emptyMenu = { ...menu, items: [] };
+  mockDataFiles(t, { 'menus/empty.json': JSON.stringify(emptyMenu) });
+
+  assert.strictEqual(createQuizQuestion({ staff: 'Sam', menuId: 'empty' }), null);
+});
+
+test('training quiz: unanswered questions expire a day after they were issued', t => {
+  const contents = mockDataFiles(t);
+  const issuedAt = new Date('2026-10-19T12:00:00Z');
+  const stale = createQuizQuestion({ staff: 'Sam' }, issuedAt);
+
+  const nextDay = new Date(issuedAt.getTime() + DAY_MS);
+  const fresh = createQuizQuestion({ staff: 'Sam' }, nextDay);
+  assert.deepStrictEqual(readMockTraining(contents).questions.map(question => question.id), [fresh.id]);
+
+  assert.strictEqual(answerQuizQuestion(fresh.id, 'safe', new Date(nextDay.getTime() + DAY_MS)), null);
+  assert.deepStrictEqual(readMockTraining(contents).questions, []);
+  assert.notStrictEqual(stale.id, fresh.id);
+});
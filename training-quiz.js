@@ -0,0 +1,315 @@
+// Staff training quiz for HORP Bot
+// Generates random guest profiles from the menu's vocab, asks a trainee whether a dish is safe,
+// modifiable or unsafe for that guest, and grades the answer against the filtering engine.
+// Issued questions and graded attempts are kept in a local JSON file for per-staff scores
+// and the manager report.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { filterByDietaryAndAllergies, SEVERITY_LEVELS } = require('./engine');
+const { getMenuSnapshot, getMenu, DEFAULT_MENU_ID } = require('./menu-store');
+const { resolveMenuItem } = require('./ingredient-library');
+const { getParentAllergen, getAllergenLabel } = require('./allergen-taxonomy');
+const { getDietIds, getDietLabel } = require('./dietary-rules');
+const { writeJsonAtomic } = require('./shared-utils');
+
+const TRAINING_PATH = path.join(__dirname, 'data', 'training.json');
+
+// Answers a trainee can give, and the engine result list each one corresponds to
+const ANSWERS = ['safe', 'modifiable', 'unsafe'];
+const RESULT_LISTS = { safe: 'safe', modifiable: 'canBeModified', unsafe: 'filtered' };
+
+// Issued questions that are not answered within this time expire
+const QUESTION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the issued questions and graded attempts
+ * @returns {Object} { questions, attempts }
+ */
+function readTraining() {
+  if (!fs.existsSync(TRAINING_PATH)) return { questions: [], attempts: [] };
+  return JSON.parse(fs.readFileSync(TRAINING_PATH, 'utf8'));
+}
+
+/**
+ * Persist the training data
+ */
+function writeTraining(training) {
+  writeJsonAtomic(TRAINING_PATH, training);
+}
+
+/**
+ * Drop issued questions older than QUESTION_TTL_MS
+ * @returns {boolean} true when any question expired
+ */
+function dropExpiredQuestions(training, now) {
+  const count = training.questions.length;
+  training.questions = training.questions.filter(question =>
+    now.getTime() - new Date(question.createdAt).getTime() < QUESTION_TTL_MS
+  );
+  return training.questions.length < count;
+}
+
+/**
+ * Pick a random entry from a list
+ */
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Generate a random guest profile from the menu's vocab
+ * Mostly top-level allergens (the ones guests usually name), with the occasional specific
+ * allergen, severity tier, tolerated form, diet or disliked ingredient
+ * @param {Object} menu - Menu data
+ * @param {Function} random - Returns a number in [0, 1) (default: Math.random)
+ * @returns {Object} { dietaryPreferences, avoidAllergens, avoidIngredientFlags, tolerateFlags, allergenSeverities, crossContactOk }
+ */
+function generateQuizProfile(menu, random = Math.random) {
+  const taxonomy = menu.allergen_taxonomy || {};
+  const allergens = menu.allergen_vocab || [];
+  const topLevel = allergens.filter(allergen => !getParentAllergen(taxonomy, allergen));
+
+  const profile = {
+    dietaryPreferences: [],
+    avoidAllergens: [],
+    avoidIngredientFlags: [],
+    tolerateFlags: [],
+    allergenSeverities: {},
+    crossContactOk: random() < 0.3
+  };
+
+  const allergenCount = random() < 0.7 ? 1 : 2;
+  while (profile.avoidAllergens.length < Math.min(allergenCount, allergens.length)) {
+    const allergen = pick(random() < 0.8 && topLevel.length > 0 ? topLevel : allergens, random);
+    if (!profile.avoidAllergens.includes(allergen)) profile.avoidAllergens.push(allergen);
+  }
+
+  profile.avoidAllergens.forEach(allergen => {
+    profile.allergenSeverities[allergen] = random() < 0.5 ? 'allergy' : pick(SEVERITY_LEVELS, random);
+  });
+
+  (menu.tolerances || [])
+    .filter(entry => profile.avoidAllergens.includes(entry.allergen) && random() < 0.5)
+    .forEach(entry => profile.tolerateFlags.push(entry.flag));
+
+  const diets = getDietIds(menu);
+  if (diets.length > 0 && random() < 0.25) {
+    profile.dietaryPreferences.push(pick(diets, random));
+  }
+
+  const flags = (menu.ingredient_flags_vocab || []).filter(flag => !profile.tolerateFlags.includes(flag));
+  if (flags.length > 0 && random() < 0.2) {
+    profile.avoidIngredientFlags.push(pick(flags, random));
+  }
+
+  return profile;
+}
+
+/**
+ * Run a profile through the engine, considering every dish regardless of availability
+ */
+function classifyDishes(profile, menu) {
+  return filterByDietaryAndAllergies(
+    profile.dietaryPreferences,
+    profile.avoidAllergens,
+    profile.avoidIngredientFlags,
+    profile.crossContactOk,
+    profile.tolerateFlags,
+    profile.allergenSeverities,
+    { menu, ignoreAvailability: true }
+  );
+}
+
+/**
+ * Describe a modification for a trainee, e.g., "Can be made without chilli crisp topping"
+ */
+function describeModification(modification) {
+  return modification.notes || `${modification.action} ${modification.target_component}`;
+}
+
+/**
+ * Describe a dish the way a server sees it on the menu, with library ingredients rolled up
+ */
+function describeDish(item, menu) {
+  const resolved = resolveMenuItem(item, menu);
+  return {
+    id: resolved.id,
+    name: resolved.name,
+    category: resolved.category,
+    components: resolved.components.map(component => ({
+      name: component.name,
+      contains_allergens: component.contains_allergens || [],
+      contains_ingredient_flags: component.contains_ingredient_flags || [],
+      notes: component.notes || ''
+    })),
+    cross_contact_risk: resolved.cross_contact_risk || [],
+    modifications: resolved.modifications.map(describeModification)
+  };
+}
+
+/**
+ * Issue a quiz question: a random guest profile and a dish to classify
+ * The expected answer is picked first so safe, modifiable and unsafe dishes come up evenly
+ * Unanswered questions older than QUESTION_TTL_MS are dropped as a new one is issued
+ * @param {Object} options - { staff, menuId, random }
+ * @returns {Object|null} The question as shown to the trainee (without the expected answer),
+ *   or null when the menu has no dishes to ask about
+ */
+function createQuizQuestion({ staff, menuId = DEFAULT_MENU_ID, random = Math.random }, now = new Date()) {
+  const { menu, version } = getMenuSnapshot(menuId);
+  const profile = generateQuizProfile(menu, random);
+  const results = classifyDishes(profile, menu);
+
+  const answers = ANSWERS.filter(answer => results[RESULT_LISTS[answer]].length > 0);
+  if (answers.length === 0) return null;
+
+  const expected = pick(answers, random);
+  const result = pick(results[RESULT_LISTS[expected]], random);
+  const item = menu.items.find(entry => entry.id === result.id);
+
+  const question = {
+    id: crypto.randomUUID(),
+    staff: staff.trim(),
+    menuId,
+    menuVersion: version,
+    createdAt: now.toISOString(),
+    profile,
+    dish: describeDish(item, menu),
+    expected,
+    explanation: {
+      reasons: result.reasons.map(reason => reason.message),
+      modifications: (result.modifications || []).map(describeModification),
+      tolerance_notes: result.tolerance_notes || []
+    }
+  };
+
+  const training = readTraining();
+  dropExpiredQuestions(training, now);
+  training.questions.push(question);
+  writeTraining(training);
+
+  return toPublicQuestion(question);
+}
+
+/**
+ * Strip the expected answer and explanation from a question
+ */
+function toPublicQuestion(question) {
+  const { expected, explanation, ...shown } = question;
+  return { ...shown, answers: ANSWERS };
+}
+
+/**
+ * Grade a trainee's answer and record the attempt
+ * Each question can be answered once, within QUESTION_TTL_MS of being issued
+ * @param {string} questionId - Issued question id
+ * @param {string} answer - One of ANSWERS
+ * @returns {Object|null} { questionId, staff, answer, expected, correct, explanation }, or null when the question
+ *   is unknown or expired
+ */
+function answerQuizQuestion(questionId, answer, now = new Date()) {
+  const training = readTraining();
+  const expired = dropExpiredQuestions(training, now);
+  const question = training.questions.find(entry => entry.id === questionId);
+  if (!question) {
+    if (expired) writeTraining(training);
+    return null;
+  }
+
+  const attempt = {
+    questionId,
+    staff: question.staff,
+    menuId: question.menuId,
+    menuVersion: question.menuVersion,
+    dishId: question.dish.id,
+    allergens: question.profile.avoidAllergens,
+    diets: question.profile.dietaryPreferences,
+    answer,
+    expected: question.expected,
+    correct: answer === question.expected,
+    answeredAt: now.toISOString()
+  };
+
+  training.questions = training.questions.filter(entry => entry.id !== questionId);
+  training.attempts.push(attempt);
+  writeTraining(training);
+
+  return { ...attempt, explanation: question.explanation };
+}
+
+/**
+ * Summarize attempts into answered, correct and score
+ */
+function summarizeAttempts(attempts) {
+  const correct = attempts.filter(attempt => attempt.correct).length;
+  return {
+    answered: attempts.length,
+    correct,
+    score: attempts.length > 0 ? Math.round((correct / attempts.length) * 100) : 0
+  };
+}
+
+/**
+ * Get each staff member's quiz score
+ * @param {string} staff - Only this staff member (optional)
+ * @returns {Array<Object>} [{ staff, answered, correct, score }] where score is a percentage
+ */
+function getStaffScores(staff) {
+  const attempts = readTraining().attempts.filter(attempt => !staff || attempt.staff === staff);
+  const names = attempts.map(attempt => attempt.staff).filter((name, index, all) => all.indexOf(name) === index);
+
+  return names
+    .map(name => ({ staff: name, ...summarizeAttempts(attempts.filter(attempt => attempt.staff === name)) }))
+    .sort((a, b) => a.staff.localeCompare(b.staff));
+}
+
+/**
+ * Count answers and wrong answers per term (allergen or diet), most missed first
+ * An attempt counts against every term its guest profile had
+ * @param {Array<Object>} attempts - Graded attempts
+ * @param {string} field - Attempt field listing the terms, e.g., "allergens"
+ * @param {Function} getLabel - Maps a term to its display label
+ * @returns {Array<Object>} [{ id, label, answered, wrong, errorRate }]
+ */
+function tallyByTerm(attempts, field, getLabel) {
+  const tally = {};
+
+  attempts.forEach(attempt => {
+    attempt[field].forEach(id => {
+      const entry = tally[id] || { id, label: getLabel(id), answered: 0, wrong: 0 };
+      entry.answered++;
+      if (!attempt.correct) entry.wrong++;
+      tally[id] = entry;
+    });
+  });
+
+  return Object.values(tally)
+    .map(entry => ({ ...entry, errorRate: Math.round((entry.wrong / entry.answered) * 100) }))
+    .sort((a, b) => b.wrong - a.wrong || b.errorRate - a.errorRate || a.id.localeCompare(b.id));
+}
+
+/**
+ * Build the manager report: staff scores and the allergens and diets trainees get wrong most
+ * @returns {Object} { staff, allergens, diets } where allergens and diets are most missed first
+ */
+function buildTrainingReport(menuId = DEFAULT_MENU_ID) {
+  const menu = getMenu(menuId);
+  const attempts = readTraining().attempts;
+
+  return {
+    staff: getStaffScores(),
+    allergens: tallyByTerm(attempts, 'allergens', allergen => getAllergenLabel(menu.allergen_taxonomy || {}, allergen)),
+    diets: tallyByTerm(attempts, 'diets', diet => getDietLabel(menu, diet))
+  };
+}
+
+module.exports = {
+  ANSWERS,
+  generateQuizProfile,
+  createQuizQuestion,
+  answerQuizQuestion,
+  getStaffScores,
+  buildTrainingReport
+};